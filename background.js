@@ -16,53 +16,164 @@
  *    cross-variant price comparison and markdown-prices HTML class
  * 8. Product discontinuation detection — marks products as discontinued
  *     after 3 consecutive 404 responses, skips them in future checks
+ * 9. Configurable schedules — global check interval from the options page,
+ *    per-product overrides, and an alarm tick that only checks due products
+ * 10. Adaptive polling — per-product nextCheckAt that speeds up for low-stock
+ *     or recently changed products, backs off for stable/discontinued ones,
+ *     within a global requests-per-hour budget
+ * 11. Concurrent fetch pipeline — bounded worker pool with per-host rate
+ *     limits and jitter, so large lists finish within the worker's lifetime
+ * 12. Host backoff — honours Retry-After, backs off exponentially per host
+ *     across cycles on 429/403/5xx, pauses hosts serving captcha pages
+ * 13. SFCC JSON API — SFCC store checks use Product-Variation for the tracked
+ *     color/size, with the HTML parser as fallback
+ * 14. Region adapters — storefront hosts, currencies, parsers, SFCC API
+ *     sites and rate limits come from the shared registry in regions.js
+ * 15. Any-color tracking — watches one size across every color of a product
+ *     and alerts when any color comes into stock or drops in price
+ * 16. Multi-size items — one tracked item covers several sizes of a color,
+ *     with per-size status from a single page fetch and per-size alerts
+ * 17. Target prices — per-product target price / percent off; reaching it
+ *     raises target_reached in place of the plain price alerts
+ * 18. Collection monitoring — monitored saved collections are fetched on
+ *     the global schedule and alert on newly listed products and colors
+ * 19. We Made Too Much watcher — scans the markdown listing for chosen
+ *     product lines and sizes and alerts on items that land there
+ * 20. International markdown transitions — a sold-out color on HK/AU/JP
+ *     is searched for in the regional sale category and reported as
+ *     moved_to_markdown, like the US -MD page check
+ * 21. Stock timeline — per-product log of status transitions, sale
+ *     start/end, markdown moves and new colors, shown in the popup card
+ * 22. Activity log — every detected change and every notification
+ *     (including cooldown-suppressed and summarized ones) is kept for the
+ *     popup's Activity tab
+ * 23. Export / import — versioned JSON backup of tracked products and
+ *     collections, merged back by product key with a preview of
+ *     duplicates and conflicts
+ * 24. Watchlist sync — optional chrome.storage.sync copy of tracked
+ *     products' and collections' config, merged three-way per item
+ * 25. Storage schema — versioned trackedProducts/savedCollections with
+ *     migrations on update and accessors that fill every field's default
+ *     (storage.js)
+ * 26. Serialized product writes — every change to trackedProducts goes
+ *     through one queued read-modify-write in the service worker; checks
+ *     merge back only the fields they changed, into the same record
+ * 27. Notification channels — desktop notifications plus optional
+ *     webhooks (Discord, Slack, ntfy, generic JSON) with per-channel type
+ *     filters and a retry queue for failed deliveries
+ * 28. Quiet hours and daily digest — notifications are held during quiet
+ *     hours (or all day in digest mode) and delivered together later;
+ *     back-in-stock alerts on high-priority products break through
+ * 29. Alert preferences — each kind of change (low stock, sold out,
+ *     restock, price drop/increase, ...) can be turned off globally or per
+ *     product; the cooldown and summary threshold are settings
+ * 30. Notification actions — Snooze 24h and Stop tracking buttons on
+ *     product notifications; summaries open the Activity tab filtered to
+ *     the products they cover
+ * 31. Rich notifications — product alerts show the product photo
+ *     (image template), summaries list each product with what changed
+ *     (list template)
  */
 
-const CHECK_INTERVAL_MINUTES = 60;
+importScripts('settings.js', 'regions.js', 'storage.js');
+
 const ALARM_NAME = 'lululemon-check';
+const NOTIFY_ALARM_NAME = 'lululemon-notify';   // Releases held notifications (FEATURE 28)
+const WMTM_BASELINE_ALARM_NAME = 'lululemon-wmtm-baseline';  // Watcher re-baseline after filter edits
+const WMTM_BASELINE_DELAY_MS = 60 * 1000;       // Quiet period after the last filter edit
 const RETRY_DELAY_MS = 5000;       // Wait 5s before retrying a failed fetch
 const MAX_DISPLAY_FAILURES = 3;    // Show warning in popup after this many consecutive failures
 const MAX_PRICE_HISTORY = 90;   // Keep at most 90 price history entries per product
-const NOTIFICATION_GROUP_THRESHOLD = 3; // Group into summary if 3+ notifications of same type
-const NOTIFICATION_COOLDOWN_MS = 4 * 60 * 60 * 1000; // 4h cooldown per product+change type
+const MAX_TIMELINE_EVENTS = 100; // Keep at most 100 timeline events per product
+const MAX_ACTIVITY_ENTRIES = 300; // Keep at most 300 activity log entries
 const MAX_CONSECUTIVE_404 = 3;       // Mark product discontinued after this many consecutive 404s
-
-/**
- * Extract color code from a product URL (US or international format).
- * US:   ?color=69702
- * Intl: ?dwvar_prod11710026_color=069299
- */
-function getColorCodeFromUrl(url) {
-  try {
-    const params = new URLSearchParams(new URL(url).search);
-    // US format
-    const usColor = params.get('color');
-    if (usColor) return usColor;
-    // International (SFCC dwvar_) format
-    for (const [key, val] of params.entries()) {
-      if (key.startsWith('dwvar_') && key.endsWith('_color')) return val;
-    }
-  } catch { /* ignore */ }
-  return null;
-}
+const ADAPTIVE_TICK_MINUTES = 5;     // Alarm granularity while adaptive polling is on
+const MIN_ADAPTIVE_INTERVAL = 10;    // Never poll a single product more often than this (minutes)
+const VOLATILE_WINDOW_MS = 48 * 60 * 60 * 1000;  // "Recently changed" window
+const DISCONTINUED_CHECK_MINUTES = 7 * 24 * 60;  // Re-check discontinued products weekly
+const MAX_CONCURRENT_FETCHES = 4;    // Products processed in parallel during a check
+const REQUEST_JITTER_MS = 1000;      // Random extra spacing between requests to one host
+
+const MAX_INLINE_RETRY_AFTER_MS = 30 * 1000;       // Longer Retry-After → give up this cycle
+const BACKOFF_BASE_MS = 5 * 60 * 1000;             // First host pause after throttling
+const BOT_WALL_PAUSE_MS = 60 * 60 * 1000;          // First host pause after a captcha/403
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;         // Longest host pause
+
+const COLLECTION_SEEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Forget tiles unseen for 30 days
+const MAX_COLLECTION_NEW_ITEMS = 20;                     // New items kept for the popup card
+
+const SYNC_TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;  // Forget synced deletions after 30 days
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;          // Give up on one webhook POST after this long
+const WEBHOOK_RETRY_BASE_MS = 5 * 60 * 1000;   // First retry of a failed delivery; doubles per attempt
+const WEBHOOK_MAX_ATTEMPTS = 5;                // Drop a delivery after this many failed attempts
+const SNOOZE_MS = 24 * 60 * 60 * 1000;         // "Snooze 24h" notification button
+const NOTIFICATION_IMAGE_TIMEOUT_MS = 5 * 1000;       // Product photo download for a notification
+const MAX_NOTIFICATION_IMAGE_BYTES = 1024 * 1024;    // Larger photos fall back to the app icon
+const MAX_NOTIFICATION_LIST_ITEMS = 5;               // Chrome shows no more in a list notification
+const MAX_WEBHOOK_QUEUE = 100;                 // Keep at most 100 deliveries waiting for a retry
+const MAX_HELD_NOTIFICATIONS = 100;            // Keep at most 100 notifications for quiet hours / digest
+
+// Watchlist sync in progress / another run requested meanwhile (FEATURE 24)
+let syncRun = null;
+let syncQueued = false;
 
 // ── Initialization ───────────────────────────────────────
 
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.alarms.create(ALARM_NAME, {
-    delayInMinutes: 1,
-    periodInMinutes: CHECK_INTERVAL_MINUTES,
-  });
+chrome.runtime.onInstalled.addListener(async ({ reason }) => {
+  // Upgrade data written by the previous version before anything reads it
+  if (reason === 'update') {
+    const { from, to } = await runMigrations();
+    if (from !== to) console.log(`[LuluTracker] Storage schema v${from} → v${to}`);
+  } else if (reason === 'install') {
+    await chrome.storage.local.set({ schemaVersion: SCHEMA_VERSION });
+  }
+  await scheduleCheckAlarm({ force: true });
   updateBadge();
+  requestSync();
   console.log('[LuluTracker] Extension installed. Alarm set.');
 });
 
-chrome.alarms.get(ALARM_NAME, (alarm) => {
-  if (!alarm) {
-    chrome.alarms.create(ALARM_NAME, {
-      delayInMinutes: 1,
-      periodInMinutes: CHECK_INTERVAL_MINUTES,
-    });
+scheduleCheckAlarm();
+
+// Pull edits other browsers made while this one was closed
+chrome.runtime.onStartup.addListener(() => requestSync());
+
+// Push local watchlist edits to sync and pull other browsers' edits.
+// Check results rewrite trackedProducts/savedCollections too; only a
+// change to the synced config (add, remove, targets...) starts a run.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' ||
+      hasSyncConfigChange(changes.trackedProducts, getProductKey, SYNC_PRODUCT_FIELDS) ||
+      hasSyncConfigChange(changes.savedCollections, (c) => c.url, SYNC_COLLECTION_FIELDS)) {
+    requestSync();
+  }
+});
+
+// Settings the alarm period and products' next checks are planned from
+// (per-product overrides re-plan in setProductInterval)
+const SCHEDULE_SETTINGS = ['checkIntervalMinutes', 'adaptivePolling', 'maxRequestsPerHour'];
+
+// React to settings edited in the options page: re-plan the alarm and
+// every product's next check only when the schedule settings change
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'local' || !changes.settings) return;
+  const { oldValue, newValue } = changes.settings;
+  if (!oldValue?.syncEnabled && newValue?.syncEnabled) requestSync();
+  if (SCHEDULE_SETTINGS.some(key => oldValue?.[key] !== newValue?.[key])) {
+    await scheduleCheckAlarm();
+    await replanAllProducts();
+  }
+  // New watcher filters → record the new baseline once the edits settle;
+  // each edit pushes the one-shot alarm back, so ticking several filters
+  // costs one fetch, and that fetch still respects the request budget
+  if (JSON.stringify(oldValue?.markdownWatch) !== JSON.stringify(newValue?.markdownWatch)) {
+    chrome.alarms.create(WMTM_BASELINE_ALARM_NAME, { when: Date.now() + WMTM_BASELINE_DELAY_MS });
+  }
+  // Quiet hours ended or digest turned off → deliver what was held
+  if (JSON.stringify([oldValue?.quietHours, oldValue?.digest]) !==
+      JSON.stringify([newValue?.quietHours, newValue?.digest])) {
+    await releaseHeldNotifications();
   }
 });
 
@@ -70,8 +181,20 @@ chrome.alarms.get(ALARM_NAME, (alarm) => {
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === ALARM_NAME) {
-    console.log('[LuluTracker] Alarm fired. Checking all products...');
-    await checkAllProducts();
+    console.log('[LuluTracker] Alarm fired. Checking due products...');
+    await checkAllProducts({ dueOnly: true });
+    await checkCollections({ dueOnly: true });
+    await checkMarkdownWatch({ dueOnly: true });
+    await retryWebhookQueue();
+    // In case the release alarm was missed while the browser was closed
+    await releaseHeldNotifications();
+  }
+  if (alarm.name === NOTIFY_ALARM_NAME) {
+    await releaseHeldNotifications();
+  }
+  if (alarm.name === WMTM_BASELINE_ALARM_NAME) {
+    // A new filter set has no state yet, so it is due
+    await checkMarkdownWatch({ dueOnly: true });
   }
 });
 
@@ -80,22 +203,26 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 // ══════════════════════════════════════════════════════════
 
 async function updateBadge() {
-  const { trackedProducts = [] } = await chrome.storage.local.get('trackedProducts');
+  const trackedProducts = await getTrackedProducts();
 
   const stockAlerts = trackedProducts.filter(p =>
     p.stockStatus === 'low_stock' || p.stockStatus === 'sold_out'
   ).length;
   const saleAlerts = trackedProducts.filter(p => p.onSale).length;
   const fetchErrors = trackedProducts.filter(p =>
-    (p.consecutiveFailures || 0) >= MAX_DISPLAY_FAILURES
+    p.consecutiveFailures >= MAX_DISPLAY_FAILURES
   ).length;
   const discontinuedCount = trackedProducts.filter(p => p.discontinued).length;
-  const alertCount = stockAlerts + saleAlerts + fetchErrors + discontinuedCount;
+  // On-sale products are already counted once as sale alerts
+  const targetHits = trackedProducts.filter(p => isTargetReached(p)).length;
+  const targetOnlyHits = trackedProducts.filter(p => isTargetReached(p) && !p.onSale).length;
+  const alertCount = stockAlerts + saleAlerts + targetOnlyHits + fetchErrors + discontinuedCount;
 
   if (alertCount > 0) {
     chrome.action.setBadgeText({ text: alertCount.toString() });
     chrome.action.setBadgeBackgroundColor({
       color: stockAlerts > 0 ? '#d31334'
+        : targetHits > 0 ? '#2e7d32'
         : fetchErrors > 0 ? '#e65100'
         : '#1565c0'
     });
@@ -104,51 +231,455 @@ async function updateBadge() {
   }
 }
 
+// ══════════════════════════════════════════════════════════
+// FEATURE 9: Configurable check schedules
+//
+// The global interval comes from the options page; any product
+// may override it with its own checkIntervalMinutes. A single
+// alarm ticks at the GCD of all intervals in use, and each tick
+// only checks the products whose interval has elapsed (with half
+// a tick of slack, since lastChecked lands a few seconds after
+// the tick that produced it).
+// ══════════════════════════════════════════════════════════
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+async function getAlarmPeriod() {
+  const settings = await getSettings();
+  const trackedProducts = await getTrackedProducts();
+  const intervals = [
+    settings.checkIntervalMinutes,
+    ...trackedProducts.map(p => p.checkIntervalMinutes).filter(Boolean),
+  ];
+  // Adaptive intervals are arbitrary multiples of 5 min, so tick at that granularity
+  if (settings.adaptivePolling) intervals.push(ADAPTIVE_TICK_MINUTES);
+  return intervals.reduce((acc, m) => gcd(acc, m));
+}
+
+/**
+ * Create (or re-create) the check alarm if its period no longer matches
+ * the configured intervals. `force` re-creates it unconditionally.
+ */
+async function scheduleCheckAlarm({ force = false } = {}) {
+  const period = await getAlarmPeriod();
+  const existing = await chrome.alarms.get(ALARM_NAME);
+  if (!force && existing && existing.periodInMinutes === period) return;
+
+  await chrome.alarms.create(ALARM_NAME, {
+    delayInMinutes: 1,
+    periodInMinutes: period,
+  });
+  console.log(`[LuluTracker] Check alarm scheduled every ${period} min`);
+}
+
+/**
+ * A product is due once its planned nextCheckAt (see FEATURE 10) is
+ * within half a tick. Products never planned (new installs) are due now.
+ */
+function isProductDue(product, tickMinutes, now = Date.now()) {
+  if (!product.nextCheckAt) return true;
+  const slackMs = (tickMinutes * 60 * 1000) / 2;
+  return product.nextCheckAt - slackMs <= now;
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 10: Adaptive polling
+//
+// After every check a product gets a nextCheckAt. With adaptive
+// polling on (default), the base interval is scaled by how
+// volatile the product is:
+//   - low stock                          → ×0.25
+//   - moved to markdown / status flipped
+//     in the last 48h                    → ×0.5
+//   - same status for 14+ days           → ×2
+//   - same status for 30+ days           → ×4
+//   - discontinued                       → weekly
+// Explicit per-product intervals are honoured as-is. Each alarm
+// tick then spends at most the remaining requests-per-hour
+// budget, most urgent products first; the rest stay due.
+// ══════════════════════════════════════════════════════════
+
+/**
+ * Minutes until a product should be checked again.
+ */
+function computeCheckInterval(product, settings, now = Date.now()) {
+  const base = getProductInterval(product, settings);
+  if (!settings.adaptivePolling) return base;
+  if (product.discontinued) return DISCONTINUED_CHECK_MINUTES;
+  if (product.checkIntervalMinutes) return base;
+
+  let factor = 1;
+  const statusSince = product.statusChangedAt || product.addedAt || now;
+  const stableFor = now - statusSince;
+  const recentMarkdown = product.lastChange?.type === 'moved_to_markdown' &&
+    (now - product.lastChange.timestamp) < VOLATILE_WINDOW_MS;
+
+  if (product.stockStatus === 'low_stock') {
+    factor = 0.25;
+  } else if (recentMarkdown || (product.statusChangedAt && stableFor < VOLATILE_WINDOW_MS)) {
+    factor = 0.5;
+  } else if (stableFor > 30 * 24 * 60 * 60 * 1000) {
+    factor = 4;
+  } else if (stableFor > 14 * 24 * 60 * 60 * 1000) {
+    factor = 2;
+  }
+
+  // Round to the tick so planned checks line up with alarm ticks
+  const minutes = Math.round((base * factor) / ADAPTIVE_TICK_MINUTES) * ADAPTIVE_TICK_MINUTES;
+  return Math.max(MIN_ADAPTIVE_INTERVAL, minutes);
+}
+
+/**
+ * Set nextCheckAt relative to `from` — the check that just ran (failed
+ * checks included, so a broken page isn't retried every tick), or the
+ * last successful check when re-planning after a settings change.
+ */
+function planNextCheck(product, settings, from = product.lastChecked || Date.now()) {
+  product.nextCheckAt = from + computeCheckInterval(product, settings, from) * 60 * 1000;
+  return product;
+}
+
+/**
+ * Recompute nextCheckAt for every product (after schedule settings change).
+ */
+async function replanAllProducts() {
+  const settings = await getSettings();
+  await updateTrackedProducts((trackedProducts) => {
+    for (const p of trackedProducts) planNextCheck(p, settings);
+  });
+}
+
+// ── Request budget ───────────────────────────────────────
+
+// Timestamps of requests made since the last flush to storage
+const pendingRequestLog = [];
+
+function noteRequest() {
+  pendingRequestLog.push(Date.now());
+}
+
+/**
+ * Persist noted requests and return how many were made in the last hour.
+ */
+async function flushRequestLog() {
+  const { requestLog = [] } = await chrome.storage.local.get('requestLog');
+  const cutoff = Date.now() - 60 * 60 * 1000;
+  const recent = [...requestLog, ...pendingRequestLog.splice(0)].filter(ts => ts > cutoff);
+  await chrome.storage.local.set({ requestLog: recent });
+  return recent.length;
+}
+
+/**
+ * Pick as many due products as the remaining budget allows. Variants of
+ * the same US page share one fetch, so the budget is counted in fetches
+ * (SFCC products are checked per variant through the JSON API).
+ */
+function applyRequestBudget(dueProducts, remaining) {
+  const urgency = (p) => p.stockStatus === 'low_stock' ? 0 : 1;
+  const sorted = [...dueProducts].sort((a, b) =>
+    urgency(a) - urgency(b) || (a.nextCheckAt || 0) - (b.nextCheckAt || 0)
+  );
+
+  const pages = new Set();
+  const selected = [];
+  for (const product of sorted) {
+    const page = usesSfccApi(product)
+      ? `${product.productId}:${product.color}:${product.size}`
+      : product.url.split('?')[0];
+    if (!pages.has(page)) {
+      if (pages.size >= remaining) continue;
+      pages.add(page);
+    }
+    selected.push(product);
+  }
+  return selected;
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 11: Concurrent, rate-limited fetch pipeline
+//
+// checkAllProducts runs products through a pool of
+// MAX_CONCURRENT_FETCHES workers. Every request goes through a
+// per-check host throttle that caps parallel requests per host
+// and spaces request starts by the host's minGapMs plus random
+// jitter. Products are interleaved by host before queueing so a
+// long US list doesn't starve the SFCC stores of workers.
+// ══════════════════════════════════════════════════════════
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` in flight at once.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Round-robin products across hosts: [us1, hk1, us2, hk2, us3, ...].
+ */
+function interleaveByHost(products) {
+  const byHost = new Map();
+  for (const p of products) {
+    let host = '';
+    try { host = new URL(p.url).hostname; } catch { /* group with unknowns */ }
+    if (!byHost.has(host)) byHost.set(host, []);
+    byHost.get(host).push(p);
+  }
+  const queues = [...byHost.values()];
+  const result = [];
+  for (let i = 0; result.length < products.length; i++) {
+    for (const q of queues) {
+      if (i < q.length) result.push(q[i]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Create a throttle for one check cycle. Returns throttled(url, task),
+ * which waits for a free slot on url's host and for the host's next
+ * allowed start time before running task().
+ */
+function createHostThrottle() {
+  const hosts = new Map();
+
+  return async function throttled(url, task) {
+    const host = new URL(url).hostname;
+    const limits = getRegionForUrl(url)?.rateLimit || DEFAULT_RATE_LIMIT;
+    if (!hosts.has(host)) hosts.set(host, { active: 0, nextStartAt: 0, waiting: [] });
+    const state = hosts.get(host);
+
+    while (state.active >= limits.concurrency) {
+      await new Promise(resolve => state.waiting.push(resolve));
+    }
+    state.active++;
+
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextStartAt);
+    state.nextStartAt = startAt + limits.minGapMs + Math.random() * REQUEST_JITTER_MS;
+    if (startAt > now) await sleep(startAt - now);
+
+    try {
+      return await task();
+    } finally {
+      state.active--;
+      state.waiting.shift()?.();
+    }
+  };
+}
+
 // ══════════════════════════════════════════════════════════
 // FEATURE 4: Fetch with retry
 //
-// Wraps a single fetch attempt. On failure (network error or
-// non-200 status), waits RETRY_DELAY_MS then tries once more.
-// Returns { html, ok, error } so callers can track failures.
+// Wraps a single fetch attempt and classifies the outcome:
+//   - 404            → no retry (product may be discontinued)
+//   - 429            → rateLimited, no retry (host backs off)
+//   - 403 / bot wall → blocked, no retry (host pauses)
+//   - 5xx / network  → one retry after RETRY_DELAY_MS, or after
+//                      Retry-After if the server sends a short one
+// Returns { html, ok, error, status, rateLimited, blocked,
+// retryAfterMs } so callers can track failures and back off.
+// With { json: true } the body (still in `html`) is a JSON API
+// response.
 // ══════════════════════════════════════════════════════════
 
-async function fetchWithRetry(url) {
+async function fetchWithRetry(url, { json = false } = {}) {
   const headers = {
     'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-    'Accept': 'text/html,application/xhtml+xml',
+    'Accept': json ? 'application/json, text/html' : 'text/html,application/xhtml+xml',
   };
 
   for (let attempt = 1; attempt <= 2; attempt++) {
     try {
+      noteRequest();
       const response = await fetch(url, { headers });
+      const status = response.status;
       if (response.ok) {
         const html = await response.text();
-        return { html, ok: true, error: null };
+        if (detectBotWall(html)) {
+          console.warn(`[LuluTracker] Bot wall detected for ${url}`);
+          return { html: null, ok: false, status, blocked: true, error: 'Blocked by bot protection (captcha page)' };
+        }
+        return { html, ok: true, status, error: null };
       }
-      const status = response.status;
       console.warn(`[LuluTracker] HTTP ${status} for ${url} (attempt ${attempt}/2)`);
       if (status === 404) {
-        return { html: null, ok: false, error: `HTTP 404 — product page not found` };
+        return { html: null, ok: false, status, error: `HTTP 404 — product page not found` };
       }
-      if (attempt === 1) {
-        console.log(`[LuluTracker] Retrying in ${RETRY_DELAY_MS}ms...`);
-        await new Promise(r => setTimeout(r, RETRY_DELAY_MS));
+
+      const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+      if (status === 429) {
+        return { html: null, ok: false, status, rateLimited: true, retryAfterMs, error: 'HTTP 429 — rate limited' };
+      }
+      if (status === 403) {
+        return { html: null, ok: false, status, blocked: true, retryAfterMs, error: 'HTTP 403 — blocked' };
+      }
+
+      const delay = retryAfterMs ?? RETRY_DELAY_MS;
+      if (attempt === 1 && delay <= MAX_INLINE_RETRY_AFTER_MS) {
+        console.log(`[LuluTracker] Retrying in ${delay}ms...`);
+        await sleep(delay);
       } else {
-        return { html: null, ok: false, error: `HTTP ${status} after retry` };
+        return {
+          html: null, ok: false, status, retryAfterMs,
+          rateLimited: status === 503 && retryAfterMs !== null,
+          error: attempt === 1 ? `HTTP ${status} (retry after ${Math.round(delay / 1000)}s)` : `HTTP ${status} after retry`,
+        };
       }
     } catch (err) {
       console.warn(`[LuluTracker] Fetch error for ${url} (attempt ${attempt}/2):`, err.message);
       if (attempt === 1) {
         console.log(`[LuluTracker] Retrying in ${RETRY_DELAY_MS}ms...`);
-        await new Promise(r => setTimeout(r, RETRY_DELAY_MS));
+        await sleep(RETRY_DELAY_MS);
       } else {
-        return { html: null, ok: false, error: `Network error: ${err.message}` };
+        return { html: null, ok: false, status: null, error: `Network error: ${err.message}` };
       }
     }
   }
-  return { html: null, ok: false, error: 'Unknown fetch failure' };
+  return { html: null, ok: false, status: null, error: 'Unknown fetch failure' };
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 12: Host backoff for throttling and bot walls
+//
+// Per-host state in storage (hostBackoff):
+//   { [host]: { level, until, reason, status, since } }
+// Each rate-limited (429/503+Retry-After), blocked (403 or a
+// captcha page) or 5xx outcome raises the host's level and
+// pauses it for BACKOFF_BASE_MS × 2^(level-1) — at least the
+// server's Retry-After, at least BOT_WALL_PAUSE_MS for bot
+// walls, at most BACKOFF_MAX_MS. Paused hosts are skipped
+// without a request; the first successful response clears the
+// state. Products on a paused host keep their failure counters
+// and show "rate limited" / "blocked" in the popup instead.
+// ══════════════════════════════════════════════════════════
+
+// Markers of bot-protection interstitials. Only trusted on pages that
+// carry no product data, since real PDPs can embed captcha widgets.
+const BOT_WALL_PATTERNS = [
+  /px-captcha/i,
+  /captcha-delivery\.com/i,
+  /cf-chl-/i,
+  /Pardon Our Interruption/i,
+  /Access Denied/i,
+  /Incapsula incident/i,
+  /verify (?:that )?you are (?:a )?human/i,
+];
+
+function detectBotWall(html) {
+  if (!html) return false;
+  if (/^\s*[{[]/.test(html)) return false; // JSON API response
+  const hasProductData = html.includes('__NEXT_DATA__') || html.includes('application/ld+json');
+  if (hasProductData) return false;
+  return BOT_WALL_PATTERNS.some(re => re.test(html));
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into ms.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - now);
+  return null;
+}
+
+function getHost(url) {
+  try { return new URL(url).hostname; } catch { return ''; }
+}
+
+async function loadHostBackoff() {
+  const { hostBackoff = {} } = await chrome.storage.local.get('hostBackoff');
+  return hostBackoff;
+}
+
+/**
+ * Active pause for a host, or null if requests are allowed.
+ */
+function getHostPause(hostBackoff, host, now = Date.now()) {
+  const entry = hostBackoff[host];
+  return entry && entry.until > now ? entry : null;
+}
+
+/**
+ * Raise a host's backoff level after a throttled/blocked/5xx outcome.
+ */
+function recordHostFailure(hostBackoff, host, result, now = Date.now()) {
+  const prev = hostBackoff[host];
+  const level = (prev?.level || 0) + 1;
+  const reason = result.blocked ? 'blocked'
+    : result.rateLimited ? 'rate_limited'
+    : 'server_error';
+
+  let delay = BACKOFF_BASE_MS * 2 ** (level - 1);
+  if (reason === 'blocked') delay = Math.max(delay, BOT_WALL_PAUSE_MS * 2 ** (level - 1));
+  if (result.retryAfterMs) delay = Math.max(delay, result.retryAfterMs);
+  delay = Math.min(delay, BACKOFF_MAX_MS);
+
+  hostBackoff[host] = {
+    level,
+    until: now + delay,
+    reason,
+    status: result.status ?? null,
+    since: prev?.since || now,
+  };
+  console.warn(`[LuluTracker] Backing off ${host} (${reason}, level ${level}) for ${Math.round(delay / 60000)} min`);
+  return hostBackoff[host];
 }
 
+function shouldBackOff(result) {
+  return !!(result.rateLimited || result.blocked || (result.status && result.status >= 500));
+}
+
+/**
+ * Wrap a throttle for one check cycle so paused hosts are skipped and
+ * outcomes update hostBackoff (mutated in memory, persisted by caller).
+ * Skipped/throttled results carry { paused, reason, until }.
+ */
+function createBackoffFetcher(hostBackoff, throttle) {
+  const pausedResult = (pause) => ({
+    html: null, ok: false, paused: true,
+    reason: pause.reason, until: pause.until,
+    error: pause.reason === 'blocked' ? 'Store is blocking requests' : 'Store is rate limiting requests',
+  });
+
+  return async function fetchWithBackoff(url, options) {
+    const host = getHost(url);
+    const pause = getHostPause(hostBackoff, host);
+    if (pause) return pausedResult(pause);
+
+    const result = await throttle(url, () => {
+      // The host may have been paused while this request waited for a slot
+      const p = getHostPause(hostBackoff, host);
+      return p ? pausedResult(p) : fetchWithRetry(url, options);
+    });
+    if (result.paused) return result;
+
+    if (result.ok) {
+      delete hostBackoff[host];
+    } else if (shouldBackOff(result)) {
+      const entry = recordHostFailure(hostBackoff, host, result);
+      if (entry.reason !== 'server_error') {
+        return { ...result, paused: true, reason: entry.reason, until: entry.until };
+      }
+    }
+    return result;
+  };
+}
 
 // ══════════════════════════════════════════════════════════
 // FEATURE 5: Price history tracking
@@ -178,56 +709,190 @@ function appendPriceHistory(product, newPrice, wasOnSale) {
   }
 }
 
+// ══════════════════════════════════════════════════════════
+// FEATURE 21: Stock timeline
+//
+// priceHistory only keeps prices; every other transition used to be
+// overwritten by the next check. The timeline keeps them, so the popup
+// can show how long an item actually stayed in stock after a restock:
+//   [{ type: 'tracked', date, status }
+//    { type: 'status', date, from, to, size? }  (size: multi-size items)
+//    { type: 'sale_start' | 'sale_end', date, price, originalPrice }
+//    { type: 'moved_to_markdown', date, salePrice, listPrice }
+//    { type: 'new_color', date, colors }
+//    { type: 'discontinued', date }]
+// Events come from diffing the stored and fresh state, so they're
+// recorded whether or not a notification fired.
+// Capped at MAX_TIMELINE_EVENTS entries (oldest trimmed).
+// ══════════════════════════════════════════════════════════
+
+function getTimelineEvents(before, after, markdownChange = null) {
+  const date = after.lastChecked || Date.now();
+  const events = [];
+
+  if (after.sizes) {
+    const previous = new Map((before.sizeAvailability || []).map(s => [s.size, s.stockStatus]));
+    for (const { size, stockStatus } of after.sizeAvailability || []) {
+      const from = previous.get(size);
+      if (from && from !== stockStatus) events.push({ type: 'status', date, size, from, to: stockStatus });
+    }
+  } else if (before.stockStatus && after.stockStatus !== before.stockStatus) {
+    events.push({ type: 'status', date, from: before.stockStatus, to: after.stockStatus });
+  }
+
+  if (markdownChange) {
+    events.push({
+      type: 'moved_to_markdown', date,
+      salePrice: markdownChange.salePrice, listPrice: markdownChange.listPrice,
+    });
+  } else if (before.lastChecked && !!after.onSale !== !!before.onSale) {
+    events.push({
+      type: after.onSale ? 'sale_start' : 'sale_end', date,
+      price: after.currentPrice,
+      originalPrice: after.onSale ? after.originalPrice : before.originalPrice,
+    });
+  }
+
+  if (before.availableColors.length > 0) {
+    const oldCodes = new Set(before.availableColors.map(c => c.code));
+    const added = after.availableColors.filter(c => !oldCodes.has(c.code));
+    if (added.length > 0) events.push({ type: 'new_color', date, colors: added.map(c => c.name) });
+  }
+
+  return events;
+}
+
+function appendTimelineEvents(timeline, events) {
+  const merged = [...timeline, ...events];
+  return merged.length > MAX_TIMELINE_EVENTS ? merged.slice(-MAX_TIMELINE_EVENTS) : merged;
+}
+
 // ── Core: Check all tracked products ─────────────────────
 
-async function checkAllProducts() {
-  const { trackedProducts = [] } = await chrome.storage.local.get('trackedProducts');
-  if (trackedProducts.length === 0) return;
+/**
+ * Identity of a tracked item: one product variant per color + size.
+ */
+function getProductKey(p) {
+  return `${p.productId || p.url.split('?')[0]}:${p.color}:${p.size}`;
+}
+
+/**
+ * Fields of `after` that differ from `before`.
+ */
+function getChangedFields(before, after) {
+  const changed = {};
+  for (const [field, value] of Object.entries(after)) {
+    if (JSON.stringify(value) !== JSON.stringify(before[field])) changed[field] = value;
+  }
+  return changed;
+}
+
+/**
+ * Check tracked products for changes. With `dueOnly` (alarm ticks), only
+ * products whose check interval has elapsed are fetched; "Check now" in
+ * the popup checks everything.
+ */
+async function checkAllProducts({ dueOnly = false } = {}) {
+  const allProducts = await getTrackedProducts();
+  if (allProducts.length === 0) return;
+  // As read — checks update price history in place
+  const originals = new Map(allProducts.map(p => [getProductKey(p), structuredClone(p)]));
+
+  const settings = await getSettings();
+  let trackedProducts = allProducts;
+  if (dueOnly) {
+    const tickMinutes = await getAlarmPeriod();
+    const due = allProducts.filter(p => isProductDue(p, tickMinutes));
+    const remaining = Math.max(0, settings.maxRequestsPerHour - await flushRequestLog());
+    trackedProducts = applyRequestBudget(due, remaining);
+    console.log(`[LuluTracker] ${due.length}/${allProducts.length} products due, ` +
+      `checking ${trackedProducts.length} (budget left: ${remaining} requests)`);
+    if (trackedProducts.length === 0) return;
+  }
+  // Under adaptive polling, discontinued products get a slow re-check
+  // on schedule in case they come back; manual checks still skip them.
+  const recheckDiscontinued = dueOnly && settings.adaptivePolling;
 
   // Load cooldowns once — passed through to all shouldNotify/recordNotification calls
   const { notificationCooldowns = {} } = await chrome.storage.local.get('notificationCooldowns');
 
   const updatedProducts = [];
   const notifItems = [];
+  const activity = [];
+
+  // Every change is logged; alert preferences and the cooldown only
+  // decide whether it also becomes a notification
+  const queueChange = (product, change, url) => {
+    const entry = createActivityEntry(
+      change.type, getNotificationContent(product, change) || { title: change.type, message: product.name }, url
+    );
+    activity.push(entry);
+    if (!isAlertEnabled(getAlertKind(change), product, settings)) {
+      entry.delivery = 'muted';
+    } else if (product.snoozedUntil > Date.now()) {
+      entry.delivery = 'snoozed';
+    } else if (shouldNotify(product, change, notificationCooldowns, settings)) {
+      notifItems.push({ product, change, url, activity: entry });
+    } else {
+      entry.delivery = 'suppressed';
+    }
+  };
 
-  // Cache raw HTML by base URL to avoid re-fetching the same page,
-  // but re-parse per product since parsed results are variant-specific.
-  const htmlCache = {};
+  // Cache fetches by base URL to avoid re-fetching the same page, but
+  // re-parse per product since parsed results are variant-specific. The
+  // cache holds the in-flight promise, so variants processed concurrently
+  // still share a single request.
+  const hostBackoff = await loadHostBackoff();
+  const fetchWithBackoff = createBackoffFetcher(hostBackoff, createHostThrottle());
+  const pageFetches = new Map();
+  const fetchPage = (url) => {
+    const baseUrl = url.split('?')[0];
+    if (!pageFetches.has(baseUrl)) {
+      pageFetches.set(baseUrl, fetchWithBackoff(url));
+    }
+    return pageFetches.get(baseUrl);
+  };
   const newColorNotifiedProductIds = new Set();
 
-  for (const product of trackedProducts) {
+  await runWithConcurrency(interleaveByHost(trackedProducts), MAX_CONCURRENT_FETCHES, async (product) => {
     try {
       // Skip discontinued products
-      if (product.discontinued) {
+      if (product.discontinued && !recheckDiscontinued) {
         updatedProducts.push(product);
-        continue;
+        return;
       }
 
-      const baseUrl = product.url.split('?')[0];
       let newData;
       let fetchError = null;
 
-      if (htmlCache[baseUrl]) {
-        newData = parseProductHtml(htmlCache[baseUrl], product);
+      const { data, ok, error, paused, reason, until } =
+        await fetchProductData(product, fetchPage, (url) => fetchWithBackoff(url, { json: true }));
+
+      // ── Host throttled or blocked — not the product's fault, wait it out ──
+      if (paused) {
+        console.log(`[LuluTracker] Skipping ${product.name}: ${error}`);
+        updatedProducts.push({
+          ...product,
+          blockedReason: reason,
+          blockedUntil: until,
+          lastFetchError: error,
+        });
+        return;
+      }
+
+      if (ok) {
+        newData = data;
       } else {
-        const { html, ok, error } = await fetchWithRetry(product.url);
-        if (ok) {
-          htmlCache[baseUrl] = html;
-          newData = parseProductHtml(html, product);
-        } else {
-          fetchError = error;
-          newData = null;
-        }
+        fetchError = error;
+        newData = null;
       }
 
       // ── Fetch failed — track failures, check for discontinuation ──
       if (!newData) {
-        const failures = (product.consecutiveFailures || 0) + 1;
+        const failures = product.consecutiveFailures + 1;
         console.warn(`[LuluTracker] Failed to fetch ${product.name}: ${fetchError} (failures: ${failures})`);
 
-        let consecutive404s = product.consecutive404s || 0;
-        let discontinued = product.discontinued || false;
-        let discontinuedAt = product.discontinuedAt || null;
+        let { consecutive404s, discontinued, discontinuedAt } = product;
 
         if (fetchError && fetchError.includes('404')) {
           consecutive404s += 1;
@@ -235,13 +900,11 @@ async function checkAllProducts() {
             discontinued = true;
             discontinuedAt = Date.now();
             console.log(`[LuluTracker] Product marked discontinued after ${consecutive404s} consecutive 404s`);
-            if (shouldNotify(product, 'discontinued', notificationCooldowns)) {
-              notifItems.push({
-                product: { ...product, consecutive404s, discontinued, discontinuedAt },
-                change: { type: 'discontinued' },
-                url: product.url,
-              });
-            }
+            queueChange(
+              { ...product, consecutive404s, discontinued, discontinuedAt },
+              { type: 'discontinued' },
+              product.url
+            );
           }
         } else {
           consecutive404s = 0;
@@ -254,15 +917,19 @@ async function checkAllProducts() {
           consecutive404s,
           discontinued,
           discontinuedAt,
+          timeline: discontinued && !product.discontinued
+            ? appendTimelineEvents(product.timeline, [{ type: 'discontinued', date: discontinuedAt }])
+            : product.timeline,
         });
-        continue;
+        return;
       }
 
       // ── Fetch succeeded ──
       // Track price history (mutates product.priceHistory in place)
       appendPriceHistory(product, newData.currentPrice, newData.onSale);
 
-      let changes = detectChanges(product, newData);
+      // Items pulled in by sync take their first check as the baseline
+      let changes = product.needsBaseline ? [] : detectChanges(product, newData);
 
       // Deduplicate new_color notifications across variants of the same product
       if (product.productId && newColorNotifiedProductIds.has(product.productId)) {
@@ -272,39 +939,42 @@ async function checkAllProducts() {
         newColorNotifiedProductIds.add(product.productId);
       }
 
-      // ── Check for normal → discount transition (US only) ──
+      // ── Check for normal → discount transition ──
       let markdownTransition = null;
-      const hasSoldOutChange = changes.some(c => c.type === 'status_change' && c.to === 'sold_out');
-      if (!product.url.includes('-MD/') && !product.url.includes('.html') && hasSoldOutChange) {
-        markdownTransition = await checkMarkdownTransition(product, newData);
+      const hasSoldOutChange = newData.stockStatus === 'sold_out' &&
+        changes.some(c => c.type === 'status_change' && c.to === 'sold_out');
+      if (!product.anyColor && !product.url.includes('-MD/') && hasSoldOutChange) {
+        markdownTransition = await checkMarkdownTransition(
+          product, newData, fetchWithBackoff, (url) => fetchWithBackoff(url, { json: true })
+        );
         if (markdownTransition) {
           if (markdownTransition.change && typeof markdownTransition.change.salePrice === 'number') {
             appendPriceHistory(product, markdownTransition.change.salePrice, true);
           }
           changes = changes.filter(c => !(c.type === 'status_change' && c.to === 'sold_out'));
-          if (shouldNotify(product, markdownTransition.change.type, notificationCooldowns)) {
-            notifItems.push({
-              product, change: markdownTransition.change, url: markdownTransition.discountUrl,
-            });
-          }
+          queueChange(product, markdownTransition.change, markdownTransition.discountUrl);
         }
       }
 
       // Collect remaining notifications (with cooldown check)
       for (const change of changes) {
-        if (shouldNotify(product, change.type, notificationCooldowns)) {
-          notifItems.push({ product, change, url: product.url });
-        }
+        const url = change.colorCode ? getColorVariantUrl(product, change.colorCode) : product.url;
+        queueChange(product, change, url);
       }
 
-      updatedProducts.push({
+      const updated = {
         ...product,
         currentPrice: newData.currentPrice !== null ? newData.currentPrice : product.currentPrice,
         originalPrice: newData.onSale ? (newData.originalPrice || product.originalPrice) : null,
         onSale: newData.onSale,
         stockStatus: markdownTransition ? 'in_stock' : newData.stockStatus,
+        statusChangedAt: (markdownTransition ? 'in_stock' : newData.stockStatus) !== product.stockStatus
+          ? Date.now() : product.statusChangedAt,
         availableColors: newData.availableColors.length > 0
           ? newData.availableColors : product.availableColors,
+        sfccVariation: newData.sfccVariation || product.sfccVariation,
+        colorAvailability: newData.colorAvailability || product.colorAvailability,
+        sizeAvailability: newData.sizeAvailability || product.sizeAvailability,
         lastChecked: Date.now(),
         lastChange: (changes.length > 0 || markdownTransition)
           ? {
@@ -314,288 +984,680 @@ async function checkAllProducts() {
           : product.lastChange,
         markdownUrl: markdownTransition
           ? markdownTransition.discountUrl : product.markdownUrl,
-        priceHistory: product.priceHistory || [],
         consecutiveFailures: 0,
         lastFetchError: null,
+        blockedReason: null,
+        blockedUntil: null,
         consecutive404s: 0,
         discontinued: false,
-        discontinuedAt: product.discontinuedAt || null,
-      });
+        discontinuedAt: null,
+        needsBaseline: false,
+      };
+      updated.timeline = appendTimelineEvents(
+        product.timeline, getTimelineEvents(product, updated, markdownTransition?.change)
+      );
+      updatedProducts.push(updated);
     } catch (err) {
       console.error(`[LuluTracker] Error checking ${product.name}:`, err);
       updatedProducts.push({
         ...product,
-        consecutiveFailures: (product.consecutiveFailures || 0) + 1,
+        consecutiveFailures: product.consecutiveFailures + 1,
         lastFetchError: err.message || 'Unexpected error during check',
-        consecutive404s: product.consecutive404s || 0,
-        discontinued: product.discontinued || false,
-        discontinuedAt: product.discontinuedAt || null,
       });
     }
-  }
+  });
+
+  // Next checks are planned from each product's fresh state at the merge
+  // below (never before a paused host reopens)
+  const checkedAt = Date.now();
+  await flushRequestLog();
+  await chrome.storage.local.set({ hostBackoff });
 
   // ── Dispatch grouped notifications ──
-  const sentNotifications = await groupAndSendNotifications(notifItems, notificationCooldowns);
+  const sentNotifications = await groupAndSendNotifications(notifItems, notificationCooldowns, settings);
 
-  // Write notification URL mappings for click handling
-  if (sentNotifications.length > 0) {
-    const { notificationMap = {} } = await chrome.storage.local.get('notificationMap');
-    for (const notif of sentNotifications) {
-      notificationMap[notif.id] = notif.url;
-    }
-    // Prune entries older than 24h to prevent unbounded growth
-    const mapCutoff = Date.now() - 24 * 60 * 60 * 1000;
-    for (const id of Object.keys(notificationMap)) {
-      const ts = parseInt(id.match(/lulu-(?:batch-)?(\d+)-/)?.[1] || '0');
-      if (ts > 0 && ts < mapCutoff) delete notificationMap[id];
-    }
-    await chrome.storage.local.set({ notificationMap });
-  }
+  await saveNotificationUrls(sentNotifications);
+  await appendActivity(activity);
 
-  // Persist cooldowns (prune entries older than 24h)
-  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+  // Persist cooldowns (prune entries older than 24h or the cooldown)
+  const cutoff = Date.now() - Math.max(24, settings.notificationCooldownHours) * 60 * 60 * 1000;
   for (const [k, ts] of Object.entries(notificationCooldowns)) {
     if (ts < cutoff) delete notificationCooldowns[k];
   }
   await chrome.storage.local.set({ notificationCooldowns });
 
-  // Merge updates back — re-read storage to preserve any adds/removes during the check
-  const { trackedProducts: currentProducts = [] } = await chrome.storage.local.get('trackedProducts');
-  const mergeKey = (p) => `${p.productId || p.url.split('?')[0]}:${p.color}:${p.size}`;
-  const updatedByKey = new Map(
-    updatedProducts.map(p => [mergeKey(p), p])
-  );
-  const mergedProducts = currentProducts.map(p => {
-    return updatedByKey.get(mergeKey(p)) || p;
+  // Merge results into the current list: only the fields this check
+  // changed, and only into the same record — settings edited, markers
+  // cleared or products removed and re-added meanwhile are kept
+  const updatedByKey = new Map(updatedProducts.map(p => [getProductKey(p), p]));
+  await updateTrackedProducts((currentProducts) => {
+    for (const p of currentProducts) {
+      const updated = updatedByKey.get(getProductKey(p));
+      if (!updated || updated.uid !== p.uid) continue;
+      Object.assign(p, getChangedFields(originals.get(getProductKey(p)), updated));
+      // Planned from the merged record, so a new interval applies already
+      planNextCheck(p, settings, checkedAt);
+      if (p.blockedUntil && p.blockedUntil > p.nextCheckAt) p.nextCheckAt = p.blockedUntil;
+    }
   });
-
-  await chrome.storage.local.set({ trackedProducts: mergedProducts });
   await updateBadge();
 }
 
-// ── Fetch & parse a product page ─────────────────────────
-
-async function fetchProductStatus(product) {
-  const { html, ok, error } = await fetchWithRetry(product.url);
-  if (!ok) {
-    console.warn(`[LuluTracker] Failed to fetch ${product.name}: ${error}`);
-    return null;
+/**
+ * Remember what each sent notification points at, for click and button
+ * handling (FEATURE 30): its URL, the product variant it is about and,
+ * for summaries, the URLs of every product in the batch.
+ */
+async function saveNotificationUrls(sentNotifications) {
+  if (sentNotifications.length === 0) return;
+  const { notificationMap = {} } = await chrome.storage.local.get('notificationMap');
+  for (const notif of sentNotifications) {
+    notificationMap[notif.id] = { url: notif.url, product: notif.product || null, urls: notif.urls || null };
+  }
+  // Prune entries older than 24h to prevent unbounded growth
+  const mapCutoff = Date.now() - 24 * 60 * 60 * 1000;
+  for (const id of Object.keys(notificationMap)) {
+    const ts = parseInt(id.match(/lulu-(?:batch-|col-)?(\d+)-/)?.[1] || '0');
+    if (ts > 0 && ts < mapCutoff) delete notificationMap[id];
   }
-  return parseProductHtml(html, product);
+  await chrome.storage.local.set({ notificationMap });
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 22: Activity log
+//
+// Notifications are gone once the OS toast is. Every detected change
+// is also appended to activityLog in storage, with how it reached the
+// user:
+//   [{ id, date, type, title, message, url, region, read,
+//      delivery: 'sent' | 'summary' | 'suppressed' | 'held' | 'muted' | 'snoozed' }]
+// 'summary' means it was folded into a grouped notification,
+// 'suppressed' that the per-product cooldown held it back, 'held' that
+// it waits for the end of quiet hours or the digest (FEATURE 28), 'muted'
+// that its alert kind is turned off (FEATURE 29) and 'snoozed' that the
+// product's notifications are snoozed (FEATURE 30). Collection
+// and WMTM alerts log one entry per notification. The popup's Activity
+// tab lists it. Capped at MAX_ACTIVITY_ENTRIES (oldest trimmed).
+// ══════════════════════════════════════════════════════════
+
+function createActivityEntry(type, { title, message }, url, delivery = 'sent') {
+  return {
+    id: `act-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    date: Date.now(),
+    type,
+    title,
+    message,
+    url,
+    region: getRegionForUrl(url)?.id || null,
+    delivery,
+    read: false,
+  };
+}
+
+async function appendActivity(entries) {
+  if (entries.length === 0) return;
+  await withStorageLock(async () => {
+    const { activityLog = [] } = await chrome.storage.local.get('activityLog');
+    const merged = [...activityLog, ...entries];
+    await chrome.storage.local.set({
+      activityLog: merged.length > MAX_ACTIVITY_ENTRIES ? merged.slice(-MAX_ACTIVITY_ENTRIES) : merged,
+    });
+  });
 }
 
 /**
- * Parse fetched HTML — uses __NEXT_DATA__ for US, JSON-LD for SFCC.
- * Falls back to regex patterns.
+ * Mark the given entries (or all, when ids is null) as read.
  */
-function parseProductHtml(html, product) {
-  const result = {
-    currentPrice: null,
-    originalPrice: null,
-    onSale: false,
-    stockStatus: 'in_stock',
-    availableColors: [],
-  };
+async function markActivityRead(ids = null) {
+  await withStorageLock(async () => {
+    const { activityLog = [] } = await chrome.storage.local.get('activityLog');
+    const wanted = ids ? new Set(ids) : null;
+    for (const entry of activityLog) {
+      if (!wanted || wanted.has(entry.id)) entry.read = true;
+    }
+    await chrome.storage.local.set({ activityLog });
+  });
+  return { success: true };
+}
 
-  const isIntl = product.url.includes('.html') ||
-    product.url.includes('lululemon.com.hk') ||
-    product.url.includes('lululemon.com.au') ||
-    product.url.includes('lululemon.co.jp');
+// ══════════════════════════════════════════════════════════
+// FEATURE 18: Collection monitoring
+//
+// A saved collection with monitor: true is fetched on the global
+// check interval (within the same request budget and host
+// throttling/backoff as products). Its product tiles are diffed
+// against `seen` — { [productId]: { name, url, colors, seenAt } },
+// kept for COLLECTION_SEEN_TTL_MS so tiles drifting on and off the
+// first page aren't reported twice. Products or colors not seen
+// before are stored in newItems (shown on the collection card) and
+// sent as one notification per collection. The first check after
+// enabling only records the baseline.
+// ══════════════════════════════════════════════════════════
 
-  // ── Strategy 1: Parse __NEXT_DATA__ (US site) ──
-  const nextDataMatch = html.match(
-    /<script\s+id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/
+/**
+ * Check monitored collections. With `dueOnly` (alarm ticks), only those
+ * whose interval has elapsed; `onlyKey` checks a single collection.
+ */
+async function checkCollections({ dueOnly = false, onlyKey = null } = {}) {
+  const savedCollections = await getSavedCollections();
+  let collections = savedCollections.filter(c =>
+    c.monitor && (onlyKey === null || getCollectionKey(c) === onlyKey)
   );
-  if (nextDataMatch) {
-    try {
-      const nextData = JSON.parse(nextDataMatch[1]);
-      const queries = nextData?.props?.pageProps?.dehydratedState?.queries || [];
-      let queryData = null;
-      for (const q of queries) {
-        const data = q?.state?.data;
-        if (data?.productSummary && data?.skus) {
-          queryData = data;
-          break;
-        }
-      }
-      if (queryData) {
-        if (queryData.productSummary?.isSoldOut) {
-          result.stockStatus = 'sold_out';
-        }
-        if (queryData.colors) {
-          result.availableColors = queryData.colors.map(c => ({
-            code: c.code,
-            name: c.name,
-          }));
-        }
-        const colorCode = getColorCodeFromUrl(product.url);
-        console.log(`[LuluTracker] Parsing ${product.name}: colorCode=${colorCode}, size=${product.size}`);
-
-        if (colorCode && queryData.skus) {
-          const matchingSku = queryData.skus.find(s => {
-            const cMatch = s.color?.code === colorCode;
-            const sMatch = !product.size || product.size === 'Not selected' ||
-              s.size === product.size;
-            return cMatch && sMatch;
-          });
+  if (collections.length === 0) return;
+
+  const settings = await getSettings();
+  if (dueOnly) {
+    const tickMinutes = await getAlarmPeriod();
+    const remaining = Math.max(0, settings.maxRequestsPerHour - await flushRequestLog());
+    collections = collections.filter(c => isProductDue(c, tickMinutes)).slice(0, remaining);
+    if (collections.length === 0) return;
+  }
 
-          if (matchingSku) {
-            console.log(`[LuluTracker] Found SKU: available=${matchingSku.available}, onSale=${matchingSku.price?.onSale}`);
-            if (matchingSku.price) {
-              const listPrice = parseFloat(matchingSku.price.listPrice) || null;
-              const salePrice = matchingSku.price.salePrice
-                ? parseFloat(matchingSku.price.salePrice) : null;
-              result.currentPrice = listPrice;
-              if (salePrice && listPrice && salePrice < listPrice) {
-                result.originalPrice = listPrice;
-                result.currentPrice = salePrice;
-                result.onSale = true;
-              }
-            }
-            if (!matchingSku.available) {
-              result.stockStatus = 'sold_out';
-            }
-          } else {
-            console.log(`[LuluTracker] No matching SKU found for color=${colorCode} size=${product.size}`);
-            if (product.size && product.size !== 'Not selected') {
-              const colorDriver = queryData.colorDriver?.find(cd => cd.color === colorCode);
-              if (colorDriver && !colorDriver.sizes.includes(product.size)) {
-                result.stockStatus = 'sold_out';
-              }
-            }
-          }
-        }
-        if (!result.currentPrice && queryData.skus.length > 0) {
-          result.currentPrice = parseFloat(queryData.skus[0].price?.listPrice) || null;
-        }
+  const hostBackoff = await loadHostBackoff();
+  const fetchWithBackoff = createBackoffFetcher(hostBackoff, createHostThrottle());
+  const updates = new Map();
+  const sentNotifications = [];
+  const activity = [];
+
+  await runWithConcurrency(interleaveByHost(collections), MAX_CONCURRENT_FETCHES, async (col) => {
+    const now = Date.now();
+    const update = {
+      lastCheckedAt: now,
+      nextCheckAt: now + settings.checkIntervalMinutes * 60 * 1000,
+    };
+    updates.set(getCollectionKey(col), update);
+
+    const { tiles, error, until } = await fetchListingTiles(col.url, fetchWithBackoff);
+    if (!tiles) {
+      update.lastCheckError = error;
+      if (until && until > update.nextCheckAt) update.nextCheckAt = until;
+      return;
+    }
+
+    const { seen, newItems } = diffCollectionTiles(col.seen, tiles, now);
+    Object.assign(update, { seen, newItems, lastCheckError: null });
+    console.log(`[LuluTracker] Collection "${col.name}": ${tiles.length} products, ${newItems.length} new`);
+
+    if (col.seen && newItems.length > 0) {
+      const notif = await sendCollectionNotification(col, newItems);
+      if (notif) {
+        sentNotifications.push(notif);
+        activity.push(createActivityEntry('new_in_collection', notif, notif.url, notif.delivery));
       }
-    } catch (e) {
-      console.warn('[LuluTracker] Failed to parse __NEXT_DATA__:', e);
     }
-  }
+  });
 
-  // ── Strategy 2: Parse JSON-LD ProductGroup (SFCC intl sites) ──
-  if (isIntl || !nextDataMatch) {
-    const ldMatches = html.matchAll(
-      /<script[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/g
-    );
-    for (const ldMatch of ldMatches) {
-      try {
-        const ld = JSON.parse(ldMatch[1]);
-        if (ld['@type'] !== 'ProductGroup') continue;
-        console.log(`[LuluTracker] Found JSON-LD ProductGroup: ${ld.name}, ${(ld.hasVariant || []).length} variants`);
-
-        const variants = ld.hasVariant || [];
-
-        const colorMap = new Map();
-        for (const v of variants) {
-          if (v.color && !colorMap.has(v.color)) {
-            colorMap.set(v.color, { code: v.color, name: v.color });
-          }
-        }
-        result.availableColors = [...colorMap.values()];
-
-        const colorName = product.color;
-        const colorVariants = colorName
-          ? variants.filter(v => v.color === colorName) : [];
-        console.log(`[LuluTracker] SFCC matching color="${colorName}": ${colorVariants.length} variants`);
-
-        if (colorVariants.length > 0) {
-          const price = parseFloat(colorVariants[0].offers?.price);
-          if (price > 0) result.currentPrice = price;
-
-          if (product.size && product.size !== 'Not selected') {
-            const sizeMatch = colorVariants.find(v => v.size === product.size);
-            if (sizeMatch) {
-              const avail = sizeMatch.offers?.availability || '';
-              if (avail.includes('OutOfStock')) {
-                result.stockStatus = 'sold_out';
-              }
-            }
-          }
+  await flushRequestLog();
+  await chrome.storage.local.set({ hostBackoff });
+  await saveNotificationUrls(sentNotifications);
+  await appendActivity(activity);
+
+  // Merge into the current list — the popup may have renamed or removed
+  // collections meanwhile
+  await updateSavedCollections((current) => {
+    for (const col of current) {
+      const update = updates.get(getCollectionKey(col));
+      if (update) Object.assign(col, update);
+    }
+  });
+}
 
-          const allOut = colorVariants.every(v =>
-            (v.offers?.availability || '').includes('OutOfStock')
-          );
-          if (allOut) result.stockStatus = 'sold_out';
-        }
+/**
+ * Fetch a collection/listing page and parse its product tiles. A page
+ * without tiles counts as an error, so callers keep their old snapshot
+ * rather than reporting everything as new later.
+ */
+async function fetchListingTiles(url, fetchWithBackoff) {
+  const result = await fetchWithBackoff(url);
+  if (!result.ok) return { tiles: null, error: result.error, until: result.until || null };
+
+  const region = getRegionForUrl(url) || OTHER_LULU_REGION;
+  const tiles = region.parseCollectionPage(result.html, region, url);
+  if (tiles.length === 0) return { tiles: null, error: 'No products found on the page', until: null };
+  return { tiles, error: null, until: null };
+}
 
-        // SFCC discount detection (HK/AU) — compare against other colors' prices
-        const otherColorPrices = variants
-          .filter(v => v.color !== colorName)
-          .map(v => parseFloat(v.offers?.price))
-          .filter(p => p > 0);
-        if (otherColorPrices.length > 0 && result.currentPrice) {
-          const maxOtherPrice = Math.max(...otherColorPrices);
-          if (result.currentPrice < maxOtherPrice) {
-            result.onSale = true;
-            result.originalPrice = maxOtherPrice;
-            console.log(`[LuluTracker] SFCC discount detected: $${result.currentPrice} (was $${maxOtherPrice})`);
-          }
+/**
+ * Compare fresh tiles against the seen map. Returns the updated map and
+ * the new products / colors (none on the first check).
+ */
+function diffCollectionTiles(previous, tiles, now) {
+  const seen = {};
+  for (const [id, entry] of Object.entries(previous || {})) {
+    if (now - entry.seenAt < COLLECTION_SEEN_TTL_MS) seen[id] = entry;
+  }
+
+  const newItems = [];
+  for (const tile of tiles) {
+    const before = seen[tile.productId];
+    const colorCodes = tile.colors.map(c => c.code);
+    if (previous && !before) {
+      newItems.push({
+        type: 'product', productId: tile.productId, name: tile.name, url: tile.url,
+        price: tile.price, originalPrice: tile.originalPrice,
+      });
+    } else if (previous && before) {
+      for (const color of tile.colors) {
+        if (!before.colors.includes(color.code)) {
+          newItems.push({
+            type: 'color', productId: tile.productId, name: tile.name, url: tile.url,
+            price: tile.price, originalPrice: tile.originalPrice,
+            color: color.name, colorCode: color.code,
+          });
         }
-        break;
-      } catch (e) {
-        console.warn('[LuluTracker] Failed to parse JSON-LD:', e);
       }
     }
+    seen[tile.productId] = {
+      name: tile.name,
+      url: tile.url,
+      colors: [...new Set([...(before?.colors || []), ...colorCodes])],
+      seenAt: now,
+    };
   }
+  return { seen, newItems: newItems.slice(0, MAX_COLLECTION_NEW_ITEMS) };
+}
 
-  // ── Fallback: regex-based stock detection ──
-  if (!isIntl) {
-    const htmlLower = html.toLowerCase();
-    if (html.includes('pdp-inventory-low-stock-warning') ||
-        htmlLower.includes('hurry, only a few left') ||
-        htmlLower.includes('only a few left') ||
-        htmlLower.includes('almost gone')) {
-      if (result.stockStatus !== 'sold_out') {
-        result.stockStatus = 'low_stock';
-        console.log('[LuluTracker] Detected low stock warning (server-rendered)');
-      }
-    }
-    if (result.stockStatus !== 'sold_out' && result.stockStatus !== 'low_stock') {
-      if (htmlLower.includes('>sold out<') || htmlLower.includes('>out of stock<')) {
-        result.stockStatus = 'sold_out';
-      }
-    }
+async function sendCollectionNotification(collection, newItems) {
+  const products = newItems.filter(i => i.type === 'product');
+  const colors = newItems.filter(i => i.type === 'color');
+
+  const count = (n, noun) => `${n} New ${noun}${n === 1 ? '' : 's'}`;
+  let title;
+  if (products.length > 0 && colors.length > 0) {
+    title = `\u{1F195} ${count(products.length, 'Product')}, ${count(colors.length, 'Color')}`;
+  } else if (products.length > 0) {
+    title = products.length === 1 ? '\u{1F195} New Product Listed' : `\u{1F195} ${count(products.length, 'Product')}`;
   } else {
-    if (result.stockStatus === 'in_stock') {
-      const visibleLowStock = html.match(
-        /class="stock-avail-msg[^"]*"[^>]*style="[^"]*display:\s*block[^"]*"/
-      );
-      if (visibleLowStock) {
-        result.stockStatus = 'low_stock';
-        console.log('[LuluTracker] Detected visible low stock warning (SFCC)');
-      }
+    title = colors.length === 1 ? '\u{1F3A8} New Color Listed' : `\u{1F3A8} ${count(colors.length, 'Color')}`;
+  }
+
+  const lines = newItems.slice(0, 4).map(i =>
+    i.type === 'color' ? `${i.name} — ${i.color}` : `${i.name}${i.price ? ` · $${i.price}` : ''}`
+  );
+  if (newItems.length > 4) lines.push(`+ ${newItems.length - 4} more`);
+
+  const message = `${collection.name}\n${lines.join('\n')}`;
+  const notifId = `lulu-col-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  // A single new item opens its product page, several open the collection
+  const url = newItems.length === 1 && newItems[0].url ? newItems[0].url : collection.url;
+  const delivery = await deliverNotification({
+    id: notifId, type: 'new_in_collection', title, message, url, iconUrl: 'icons/icon128.png',
+  });
+  return { id: notifId, url, title, message, delivery };
+}
+
+/**
+ * Turn monitoring on/off for a saved collection; turning it on records
+ * the baseline right away.
+ */
+async function setCollectionMonitor(key, monitor) {
+  const result = await updateCollection(key, (match) => {
+    match.monitor = !!monitor;
+    if (!monitor) {
+      match.newItems = [];
+      match.nextCheckAt = null;
     }
+  });
+  if (result.success && monitor) await checkCollections({ onlyKey: key });
+  return result;
+}
 
-    // SFCC markdown-prices detection (HK/AU)
-    if (isIntl && !result.onSale) {
-      if (html.includes('markdown-prices')) {
-        result.onSale = true;
-        console.log('[LuluTracker] SFCC markdown-prices class detected in HTML');
-        const mdPriceMatch = html.match(/class="markdown-prices"[^>]*>[\s\S]*?(?:HK|A|NZ)?\$(\d+(?:[,.]?\d+)*)/);
-        if (mdPriceMatch && !result.currentPrice) {
-          result.currentPrice = parseFloat(mdPriceMatch[1]);
-        }
-      }
+/**
+ * Apply `change` to the collection with this getCollectionKey(), under
+ * the storage lock.
+ */
+function updateCollection(key, change) {
+  return updateSavedCollections((savedCollections) => {
+    const match = savedCollections.find(c => getCollectionKey(c) === key);
+    if (!match) return { success: false };
+    change(match);
+    return { success: true };
+  });
+}
+
+/**
+ * Save a collection the popup parsed from a listing URL, unless that URL
+ * is already saved.
+ */
+function addCollection(fields) {
+  return updateSavedCollections((savedCollections) => {
+    if (savedCollections.some(c => c.url === fields.url)) return { success: false, duplicate: true };
+    savedCollections.push(normalizeCollection({ ...fields, monitor: false, addedAt: Date.now() }));
+    return { success: true };
+  });
+}
+
+function removeCollection(key) {
+  return updateSavedCollections((savedCollections) => {
+    const index = savedCollections.findIndex(c => getCollectionKey(c) === key);
+    if (index < 0) return { success: false };
+    savedCollections.splice(index, 1);
+    return { success: true };
+  });
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 19: We Made Too Much watcher
+//
+// settings.markdownWatch picks product lines and sizes (US filter
+// codes) on a Next.js store; the watcher fetches that store's WMTM
+// listing filtered by those codes on the global interval and diffs
+// its tiles like a monitored collection (FEATURE 18), so any product
+// or color landing in markdown alerts — tracked or not. Progress
+// lives in storage under markdownWatchState:
+//   { url, seen, newItems, lastCheckedAt, nextCheckAt, lastCheckError }
+// Changing the filters changes the URL and starts a fresh baseline.
+// ══════════════════════════════════════════════════════════
+
+function getMarkdownWatchUrl(watch) {
+  const region = getRegionAdapter(watch.region);
+  if (!region?.markdownPath || watch.productLines.length === 0) return null;
+  return region.buildCollectionUrl(
+    { basePath: region.markdownPath }, [...watch.productLines, ...watch.sizes], region
+  );
+}
+
+async function checkMarkdownWatch({ dueOnly = false } = {}) {
+  const settings = await getSettings();
+  const watch = settings.markdownWatch;
+  const url = watch.enabled ? getMarkdownWatchUrl(watch) : null;
+  if (!url) return;
+
+  const { markdownWatchState: stored = {} } = await chrome.storage.local.get('markdownWatchState');
+  const state = stored.url === url ? stored : { url, seen: null, newItems: [] };
+  if (dueOnly) {
+    const remaining = settings.maxRequestsPerHour - await flushRequestLog();
+    if (remaining < 1 || !isProductDue(state, await getAlarmPeriod())) return;
+  }
+
+  const hostBackoff = await loadHostBackoff();
+  const fetchWithBackoff = createBackoffFetcher(hostBackoff, createHostThrottle());
+  const now = Date.now();
+  state.lastCheckedAt = now;
+  state.nextCheckAt = now + settings.checkIntervalMinutes * 60 * 1000;
+
+  const { tiles, error, until } = await fetchListingTiles(url, fetchWithBackoff);
+  if (tiles) {
+    const { seen, newItems } = diffCollectionTiles(state.seen, tiles, now);
+    console.log(`[LuluTracker] WMTM watcher: ${tiles.length} items, ${newItems.length} new`);
+    if (state.seen && newItems.length > 0) {
+      const notif = await sendMarkdownWatchNotification(newItems, watch, url);
+      await saveNotificationUrls([notif]);
+      await appendActivity([createActivityEntry('new_on_wmtm', notif, notif.url, notif.delivery)]);
     }
+    Object.assign(state, { seen, newItems, lastCheckError: null });
+  } else {
+    state.lastCheckError = error;
+    if (until && until > state.nextCheckAt) state.nextCheckAt = until;
   }
 
-  if (!result.currentPrice) {
-    const priceMatch = html.match(
-      /data-lll-pl="price"[^>]*>.*?(?:HK|A|NZ|CA|NT)?\$(\d+(?:[,.]?\d+)*)/s
-    ) || html.match(
-      /class="[^"]*price[^"]*"[^>]*>.*?(?:HK|A|NZ|CA|NT)?\$(\d+(?:[,.]?\d+)*)/s
-    );
-    if (priceMatch) result.currentPrice = parseFloat(priceMatch[1]);
+  await flushRequestLog();
+  await chrome.storage.local.set({ hostBackoff, markdownWatchState: state });
+}
+
+async function sendMarkdownWatchNotification(newItems, watch, listingUrl) {
+  const sizes = watch.sizes.map(code => SIZE_FILTERS[code] || code).join('/');
+  const sizeLabel = sizes ? `\nSize ${sizes}` : '';
+  const describe = (item) => {
+    const price = item.price ? ` · $${item.price}` : '';
+    const was = item.originalPrice ? ` (was $${item.originalPrice})` : '';
+    return `${item.name}${item.color ? ` — ${item.color}` : ''}${price}${was}`;
+  };
+
+  const single = newItems.length === 1 ? newItems[0] : null;
+  const title = single
+    ? '\u{1F3F7}\uFE0F New on We Made Too Much!'
+    : `\u{1F3F7}\uFE0F ${newItems.length} New on We Made Too Much!`;
+  const lines = newItems.slice(0, 4).map(describe);
+  if (newItems.length > 4) lines.push(`+ ${newItems.length - 4} more`);
+  const message = `${lines.join('\n')}${sizeLabel}`;
+
+  const notifId = `lulu-col-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  let url = listingUrl;
+  if (single?.url) {
+    url = single.colorCode ? getColorVariantUrl({ url: single.url }, single.colorCode) : single.url;
   }
+  const delivery = await deliverNotification({
+    id: notifId, type: 'new_on_wmtm', title, message, url, iconUrl: 'icons/icon128.png',
+  });
+  return { id: notifId, url, title, message, delivery };
+}
 
-  return result;
+// ── Fetch & parse a product page ─────────────────────────
+
+async function fetchProductStatus(product) {
+  const pause = getHostPause(await loadHostBackoff(), getHost(product.url));
+  if (pause) {
+    console.warn(`[LuluTracker] Skipping fetch for ${product.name}: host paused (${pause.reason})`);
+    return null;
+  }
+  const { data, ok, error } = await fetchProductData(
+    product, fetchWithRetry, (url) => fetchWithRetry(url, { json: true })
+  );
+  if (!ok) {
+    console.warn(`[LuluTracker] Failed to fetch ${product.name}: ${error}`);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Fetch and parse the current state of a tracked product.
+ * International (SFCC) products go through the Product-Variation JSON API
+ * first and fall back to the HTML page; US products use the HTML page.
+ * Returns the fetch result with `data` set to the parsed state on success.
+ */
+async function fetchProductData(product, fetchPage, fetchJson) {
+  const region = getRegionForUrl(product.url);
+  if (usesSfccApi(product)) {
+    const api = await fetchSfccProductStatus(region, product, fetchJson);
+    if (api.paused) return api;
+    if (api.data) return { ok: true, data: api.data };
+    console.log(`[LuluTracker] SFCC API unavailable for ${product.name} (${api.error || 'no data'}), falling back to HTML`);
+  }
+
+  const result = await fetchPage(product.url);
+  if (!result.ok) return result;
+  return { ok: true, data: parseProductHtml(result.html, product) };
+}
+
+/**
+ * Product-Variation answers for one color/size, so any-color and
+ * multi-size products read every variant from the HTML page's JSON-LD.
+ */
+function usesSfccApi(product) {
+  return !!getRegionForUrl(product.url)?.sfccApi && !product.anyColor && !product.sizes;
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 13: SFCC JSON API for scheduled checks
+//
+// Every store except US/CA runs Salesforce Commerce Cloud, whose
+// Product-Variation endpoint returns structured list/sale prices and
+// per-attribute availability for a chosen color + size, in the
+// product page's locale — far smaller and more
+// accurate than scraping the ~500KB page (whose cross-color price
+// heuristic and markdown-prices regex misfire). The first check
+// resolves the tracked color name and size label to SFCC attribute
+// values and caches them on the product as sfccVariation, so later
+// checks take one request.
+//
+// Colors are reported by name (code = name), matching what the
+// JSON-LD parser has always stored, so switching sources never
+// looks like a new color.
+// ══════════════════════════════════════════════════════════
+
+function buildSfccApiUrl(region, controller, params, pageUrl = null) {
+  const locale = getSfccLocale(region, pageUrl);
+  return `${region.origin}/on/demandware.store/${region.sfccApi.site}/${locale}/${controller}?${params}`;
+}
+
+function buildSfccVariationUrl(region, product, { colorCode, sizeValue } = {}) {
+  const masterId = product.productId;
+  const params = new URLSearchParams({ pid: masterId, quantity: '1' });
+  if (colorCode) params.set(`dwvar_${masterId}_color`, colorCode);
+  if (sizeValue) params.set(`dwvar_${masterId}_size`, sizeValue);
+  return buildSfccApiUrl(region, 'Product-Variation', params, product.url);
+}
+
+/**
+ * Normalize SFCC size labels the same way content.js does:
+ * "US M", "US  (AU) M" and "M" all become "M".
+ */
+function normalizeSfccSize(label) {
+  return String(label || '')
+    .replace(/\(.*?\)/g, '')
+    .replace(/\bUS\b/g, '')
+    .trim();
+}
+
+function getSfccAttribute(sfccProduct, attributeId) {
+  return (sfccProduct.variationAttributes || []).find(a =>
+    (a.attributeId || a.id) === attributeId
+  ) || null;
+}
+
+const sfccValueId = (v) => v.value ?? v.id;
+
+/**
+ * Extract { price, onSale, originalPrice } from an SFCC price object,
+ * which is either a range (min/max) or a flat sales/list pair.
+ */
+function parseSfccPrice(priceData) {
+  let price = null;
+  if (priceData?.min?.sales?.value) {
+    price = priceData.min.sales.value;
+  } else if (priceData?.sales?.value) {
+    price = priceData.sales.value;
+  }
+
+  let onSale = false;
+  let originalPrice = null;
+  if (priceData?.min?.list?.value && priceData.min.list.value > price) {
+    onSale = true;
+    originalPrice = priceData.min.list.value;
+  } else if (priceData?.list?.value && priceData.list.value > price) {
+    onSale = true;
+    originalPrice = priceData.list.value;
+  }
+  return { price, onSale, originalPrice };
+}
+
+async function fetchSfccVariation(region, product, variation, fetchJson) {
+  const url = buildSfccVariationUrl(region, product, variation);
+  const res = await fetchJson(url);
+  if (!res.ok) return { ...res, sfccProduct: null };
+  try {
+    return { ...res, sfccProduct: JSON.parse(res.html)?.product || null };
+  } catch {
+    return { ...res, ok: false, sfccProduct: null, error: 'SFCC API returned non-JSON response' };
+  }
+}
+
+/**
+ * Check one SFCC product variant through the Product-Variation API.
+ * Returns { data } in parseProductHtml's shape (plus sfccVariation), or a
+ * failed/paused fetch result so the caller can fall back or back off.
+ */
+async function fetchSfccProductStatus(region, product, fetchJson) {
+  if (!region.sfccApi || !product.productId) return { ok: false, data: null, error: 'No SFCC config' };
+
+  const wantSize = product.size && product.size !== 'Not selected';
+  const variation = {
+    colorCode: product.sfccVariation?.colorCode || getColorCodeFromUrl(product.url),
+    sizeValue: product.sfccVariation?.sizeValue || null,
+  };
+
+  let res = await fetchSfccVariation(region, product, variation, fetchJson);
+  if (!res.sfccProduct) return { ...res, data: null };
+
+  // Resolve the tracked color name / size label to attribute values;
+  // re-request if the first call was made without (or with stale) ones.
+  const findValues = (sfccProduct) => {
+    const colorAttr = getSfccAttribute(sfccProduct, 'color');
+    const sizeAttr = getSfccAttribute(sfccProduct, 'size');
+    const colorVal = colorAttr?.values?.find(v => v.displayValue === product.color) || null;
+    const sizeVal = wantSize
+      ? sizeAttr?.values?.find(v =>
+          normalizeSfccSize(v.displayValue) === normalizeSfccSize(product.size) ||
+          sfccValueId(v) === product.size
+        ) || null
+      : null;
+    return { colorAttr, sizeAttr, colorVal, sizeVal };
+  };
+
+  let values = findValues(res.sfccProduct);
+  const resolved = {
+    colorCode: values.colorVal ? sfccValueId(values.colorVal) : variation.colorCode,
+    sizeValue: values.sizeVal ? sfccValueId(values.sizeVal) : variation.sizeValue,
+  };
+  if (resolved.colorCode !== variation.colorCode || resolved.sizeValue !== variation.sizeValue) {
+    res = await fetchSfccVariation(region, product, resolved, fetchJson);
+    if (!res.sfccProduct) return { ...res, data: null };
+    values = findValues(res.sfccProduct);
+  }
+
+  const sfccProduct = res.sfccProduct;
+  const { colorAttr, sizeAttr, colorVal, sizeVal } = values;
+  const { price, onSale, originalPrice } = parseSfccPrice(sfccProduct.price);
+
+  const result = {
+    currentPrice: price,
+    originalPrice: onSale ? originalPrice : null,
+    onSale,
+    stockStatus: 'in_stock',
+    availableColors: (colorAttr?.values || []).map(v => ({
+      code: v.displayValue,
+      name: v.displayValue,
+    })),
+    sfccVariation: resolved,
+  };
+
+  if (!colorVal && colorAttr) {
+    // Tracked color is gone from the product entirely
+    result.stockStatus = 'sold_out';
+  } else if (wantSize && sizeVal) {
+    if (sizeVal.selectable === false || sfccProduct.available === false) result.stockStatus = 'sold_out';
+  } else if (colorVal?.selectable === false ||
+             (sizeAttr?.values?.length && sizeAttr.values.every(v => v.selectable === false))) {
+    result.stockStatus = 'sold_out';
+  }
+
+  if (result.stockStatus === 'in_stock') {
+    const messages = (sfccProduct.availability?.messages || []).join(' ');
+    if (includesAny(messages, region.stockText.lowStock)) result.stockStatus = 'low_stock';
+  }
+
+  console.log(`[LuluTracker] SFCC API ${region.id} ${product.name}: price=${price}, onSale=${onSale}, status=${result.stockStatus}`);
+  return { ok: true, data: result };
+}
+
+/**
+ * Parse fetched HTML with the parser of the product's storefront
+ * (__NEXT_DATA__ for Next.js sites, JSON-LD for SFCC), which fall back
+ * to regex patterns.
+ */
+function parseProductHtml(html, product) {
+  const region = getRegionForUrl(product.url) || REGION_ADAPTERS.us;
+  return region.parseProductPage(html, product, region);
 }
 
 // ── Detect changes ───────────────────────────────────────
 
-async function checkMarkdownTransition(product, newData) {
+/**
+ * A tracked color just sold out — look for it in the store's markdown
+ * section. Returns { change: moved_to_markdown, discountUrl } or null.
+ */
+async function checkMarkdownTransition(product, newData, fetchPage, fetchJson) {
+  const region = getRegionForUrl(product.url);
+  if (!supportsMarkdownTransition(region)) return null;
+  if (region.platform === 'nextjs') {
+    return checkNextDataMarkdownTransition(product, newData, fetchPage);
+  }
+  return checkSfccMarkdownTransition(region, product, fetchPage, fetchJson);
+}
+
+async function checkNextDataMarkdownTransition(product, newData, fetcher = fetchWithRetry) {
   const trackedColorCode = getColorCodeFromUrl(product.url);
   if (!trackedColorCode) return null;
 
@@ -607,7 +1669,7 @@ async function checkMarkdownTransition(product, newData) {
   const mdUrl = product.url.replace(/(\/_\/)/, '-MD$1');
 
   try {
-    const { html, ok } = await fetchWithRetry(mdUrl);
+    const { html, ok } = await fetcher(mdUrl);
     if (!ok) {
       console.log(`[LuluTracker] Markdown page fetch failed`);
       return null;
@@ -631,9 +1693,10 @@ async function checkMarkdownTransition(product, newData) {
     const mdColor = mdQueryData.colors?.find(c => c.code === trackedColorCode);
     if (!mdColor) return null;
 
+    const trackedSizes = getTrackedSizes(product);
     const mdSku = mdQueryData.skus.find(s =>
       s.color?.code === trackedColorCode &&
-      (!product.size || product.size === 'Not selected' || s.size === product.size)
+      (trackedSizes.length === 0 || trackedSizes.includes(s.size))
     );
 
     const salePrice = mdSku?.price?.salePrice
@@ -649,7 +1712,9 @@ async function checkMarkdownTransition(product, newData) {
     const mdProductId = mdQueryData.productSummary?.productId || '';
     const mdSlug = mdQueryData.productSummary?.unifiedId || '';
     const parentCat = mdQueryData.productSummary?.parentCategoryUnifiedId || '';
-    const discountUrl = `https://shop.lululemon.com/p/${parentCat}/${mdSlug}/_/${mdProductId}?color=${trackedColorCode}${product.size && product.size !== 'Not selected' ? '&sz=' + product.size : ''}`;
+    const { origin, pathname } = new URL(product.url);
+    const localePrefix = pathname.match(/^\/[a-z]{2}-[a-z]{2}(?=\/)/)?.[0] || '';
+    const discountUrl = `${origin}${localePrefix}/p/${parentCat}/${mdSlug}/_/${mdProductId}?color=${trackedColorCode}${trackedSizes.length === 1 ? '&sz=' + trackedSizes[0] : ''}`;
 
     console.log(`[LuluTracker] Found color on markdown page! Sale price: $${salePrice} (was $${listPrice})`);
 
@@ -667,10 +1732,93 @@ async function checkMarkdownTransition(product, newData) {
   }
 }
 
+// SFCC stores move a marked-down color onto a separate master product
+// listed in the regional sale category (adapter markdownCategory). Search
+// that category for the product name, then ask Product-Variation whether
+// a same-named master sells the tracked color (and size) there.
+const MAX_MARKDOWN_CANDIDATES = 2;
+
+function normalizeProductName(name) {
+  return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+async function checkSfccMarkdownTransition(region, product, fetchPage, fetchJson) {
+  const params = new URLSearchParams({ cgid: region.markdownCategory, q: product.name });
+  const searchUrl = buildSfccApiUrl(region, 'Search-Show', params, product.url);
+
+  console.log(`[LuluTracker] ${product.color} sold out on ${region.id}. Searching ${region.markdownCategory}...`);
+
+  try {
+    const result = await fetchPage(searchUrl);
+    if (!result.ok) {
+      console.log(`[LuluTracker] Markdown search failed: ${result.error}`);
+      return null;
+    }
+
+    const wantName = normalizeProductName(product.name);
+    const candidates = region.parseCollectionPage(result.html, region, product.url)
+      .filter(tile => tile.url && tile.productId !== product.productId &&
+        normalizeProductName(tile.name) === wantName)
+      // Tiles whose swatches name the tracked color go first
+      .sort((a, b) =>
+        Number(b.colors.some(c => c.name === product.color)) -
+        Number(a.colors.some(c => c.name === product.color))
+      )
+      .slice(0, MAX_MARKDOWN_CANDIDATES);
+
+    const trackedSizes = getTrackedSizes(product);
+    for (const tile of candidates) {
+      const mdProduct = {
+        ...product,
+        productId: tile.productId,
+        url: tile.url,
+        size: trackedSizes.length === 1 ? trackedSizes[0] : 'Not selected',
+        sfccVariation: null,
+      };
+      const api = await fetchSfccProductStatus(region, mdProduct, fetchJson);
+      if (!api.ok) {
+        if (api.paused) return null; // host paused — don't spend more requests
+        continue;
+      }
+
+      const { data } = api;
+      if (data.stockStatus === 'sold_out' || data.currentPrice === null) continue;
+
+      const u = new URL(tile.url);
+      u.searchParams.set(`dwvar_${tile.productId}_color`, data.sfccVariation.colorCode);
+      if (data.sfccVariation.sizeValue) {
+        u.searchParams.set(`dwvar_${tile.productId}_size`, data.sfccVariation.sizeValue);
+      }
+
+      const listPrice = data.originalPrice || product.originalPrice || product.currentPrice;
+      console.log(`[LuluTracker] Found ${product.color} in ${region.markdownCategory}! Sale price: ${data.currentPrice} (was ${listPrice})`);
+
+      return {
+        discountUrl: u.toString(),
+        change: {
+          type: 'moved_to_markdown',
+          salePrice: data.currentPrice,
+          listPrice: listPrice ?? data.currentPrice,
+        },
+      };
+    }
+    return null;
+  } catch (err) {
+    console.warn(`[LuluTracker] Error checking ${region.id} markdown category:`, err);
+    return null;
+  }
+}
+
 function detectChanges(oldProduct, newData) {
+  if (oldProduct.anyColor) {
+    return applyPriceTarget(oldProduct, newData, detectAnyColorChanges(oldProduct, newData));
+  }
+
   const changes = [];
 
-  if (oldProduct.stockStatus !== newData.stockStatus) {
+  if (oldProduct.sizes) {
+    changes.push(...detectSizeChanges(oldProduct, newData));
+  } else if (oldProduct.stockStatus !== newData.stockStatus) {
     changes.push({
       type: 'status_change',
       from: oldProduct.stockStatus,
@@ -688,7 +1836,7 @@ function detectChanges(oldProduct, newData) {
   }
 
   if (!oldProduct.onSale && newData.onSale) {
-    changes.push({ type: 'went_on_sale' });
+    changes.push({ type: 'went_on_sale', price: newData.currentPrice, originalPrice: newData.originalPrice });
   }
 
   if (oldProduct.trackNewColors && oldProduct.availableColors && newData.availableColors) {
@@ -700,6 +1848,114 @@ function detectChanges(oldProduct, newData) {
     }
   }
 
+  return applyPriceTarget(oldProduct, newData, changes);
+}
+
+/**
+ * With a target set, the user only wants to hear about price once it's
+ * reached: price_change/went_on_sale give way to a single target_reached
+ * when the price crosses into the target.
+ */
+function applyPriceTarget(oldProduct, newData, changes) {
+  if (!hasPriceTarget(oldProduct)) return changes;
+
+  const filtered = changes.filter(c => c.type !== 'price_change' && c.type !== 'went_on_sale');
+  if (!isTargetReached(oldProduct) && isTargetReached(oldProduct, newData)) {
+    filtered.push({
+      type: 'target_reached',
+      from: oldProduct.currentPrice,
+      to: newData.currentPrice,
+      originalPrice: newData.onSale ? newData.originalPrice : null,
+    });
+  }
+  return filtered;
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 15: Any-color tracking
+//
+// An anyColor product watches one size across every color. Parsers
+// report per-color state in colorAvailability; instead of the aggregate
+// status/price changes, we alert per color when it comes into stock or
+// its price drops, plus once when the size sells out everywhere.
+// ══════════════════════════════════════════════════════════
+
+function detectAnyColorChanges(oldProduct, newData) {
+  const changes = [];
+  if (!oldProduct.colorAvailability || !newData.colorAvailability) return changes;
+
+  const previous = new Map(oldProduct.colorAvailability.map(c => [c.code, c]));
+  for (const color of newData.colorAvailability) {
+    const before = previous.get(color.code);
+    const wasAvailable = before && before.stockStatus !== 'sold_out';
+    if (color.stockStatus === 'sold_out') continue;
+
+    if (!wasAvailable) {
+      changes.push({
+        type: 'color_available',
+        color: color.name,
+        colorCode: color.code,
+        to: color.stockStatus,
+        price: color.price,
+      });
+    } else if (before.price && color.price && color.price < before.price) {
+      changes.push({
+        type: 'price_change',
+        color: color.name,
+        colorCode: color.code,
+        from: before.price,
+        to: color.price,
+      });
+    }
+  }
+
+  if (oldProduct.stockStatus !== 'sold_out' && newData.stockStatus === 'sold_out') {
+    changes.push({ type: 'status_change', from: oldProduct.stockStatus, to: 'sold_out' });
+  }
+
+  return changes;
+}
+
+/**
+ * Product URL preselecting a color (Next.js pages take ?color=; SFCC
+ * pages share one URL across colors).
+ */
+function getColorVariantUrl(product, colorCode) {
+  if (getRegionForUrl(product.url)?.platform !== 'nextjs') return product.url;
+  try {
+    const u = new URL(product.url);
+    u.searchParams.set('color', colorCode);
+    return u.toString();
+  } catch {
+    return product.url;
+  }
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 16: Multi-size items
+//
+// A product with a `sizes` array tracks several sizes of one color as a
+// single item (its `size` is the joined label, e.g. "M / L"). Parsers
+// report per-size state in sizeAvailability; stock alerts are raised per
+// size, while price, sale and new-color alerts stay per item.
+// ══════════════════════════════════════════════════════════
+
+function detectSizeChanges(oldProduct, newData) {
+  const changes = [];
+  if (!oldProduct.sizeAvailability || !newData.sizeAvailability) return changes;
+
+  const previous = new Map(oldProduct.sizeAvailability.map(s => [s.size, s]));
+  for (const entry of newData.sizeAvailability) {
+    const before = previous.get(entry.size);
+    if (before && before.stockStatus !== entry.stockStatus) {
+      changes.push({
+        type: 'status_change',
+        size: entry.size,
+        from: before.stockStatus,
+        to: entry.stockStatus,
+      });
+    }
+  }
   return changes;
 }
 
@@ -707,68 +1963,85 @@ function detectChanges(oldProduct, newData) {
 // FEATURE 6: Smarter notification grouping
 //
 // Instead of firing one OS notification per change, we:
-//   1. Check a per-product cooldown (4h) to avoid re-alerting
+//   1. Drop alert kinds turned off in the settings or for the product
+//      (FEATURE 29), and check a per-product cooldown
+//      (settings.notificationCooldownHours) to avoid re-alerting
 //   2. Collect all notifications from a check cycle
-//   3. If 3+ share the same type, send a single summary
+//   3. If settings.notificationGroupThreshold or more share the same
+//      type, send a single summary
 //   4. Otherwise send individual notifications as before
 // ══════════════════════════════════════════════════════════
 
 /**
  * Build a stable cooldown key. Falls back to base URL if productId is null.
+ * Changes that concern one color (any-color items) or one size (multi-size
+ * items) cool down on their own, and so does each alert kind — a restock
+ * right after a sell-out still alerts.
  */
-function getCooldownKey(product, changeType) {
+function getCooldownKey(product, change) {
   const id = product.productId || product.url.split('?')[0];
-  return `${id}:${product.color}:${changeType}`;
+  const size = change.size ? `:${change.size}` : '';
+  return `${id}:${change.color || product.color}${size}:${getAlertKind(change)}`;
 }
 
 /**
  * Check whether a notification should fire (sync — uses pre-loaded cooldowns).
  */
-function shouldNotify(product, changeType, cooldowns) {
-  const key = getCooldownKey(product, changeType);
-  const lastNotified = cooldowns[key] || 0;
-  return (Date.now() - lastNotified) > NOTIFICATION_COOLDOWN_MS;
+function shouldNotify(product, change, cooldowns, settings) {
+  const lastNotified = cooldowns[getCooldownKey(product, change)] || 0;
+  return (Date.now() - lastNotified) > settings.notificationCooldownHours * 60 * 60 * 1000;
 }
 
 /**
  * Record that we just notified (sync — mutates in-memory cooldowns).
  */
-function recordNotification(product, changeType, cooldowns) {
-  const key = getCooldownKey(product, changeType);
-  cooldowns[key] = Date.now();
+function recordNotification(product, change, cooldowns) {
+  cooldowns[getCooldownKey(product, change)] = Date.now();
 }
 
 /**
  * Group collected notification items by type and dispatch.
- * If 3+ items share the same type, send a summary notification.
+ * If enough items share the same type, send a summary notification.
  * Otherwise send individual notifications.
  * Returns array of { id, url } for notification-click mapping.
  */
-async function groupAndSendNotifications(notifItems, cooldowns) {
+async function groupAndSendNotifications(notifItems, cooldowns, settings) {
   if (notifItems.length === 0) return [];
 
+  const results = [];
+
+  // High-priority restocks go out on their own, right away
+  const breakthrough = notifItems.filter(item => isBreakthrough(item.product, item.change));
+  for (const item of breakthrough) {
+    const notif = await sendNotification(item.product, item.change, item.url || item.product.url);
+    if (notif) results.push(notif);
+    recordNotification(item.product, item.change, cooldowns);
+  }
+
   // Group by change type
   const byType = {};
   for (const item of notifItems) {
+    if (breakthrough.includes(item)) continue;
     const t = item.change.type;
     if (!byType[t]) byType[t] = [];
     byType[t].push(item);
   }
 
-  const results = [];
-
   for (const [type, items] of Object.entries(byType)) {
-    if (items.length >= NOTIFICATION_GROUP_THRESHOLD) {
+    if (items.length >= settings.notificationGroupThreshold) {
       const notif = await sendSummaryNotification(type, items, cooldowns);
       if (notif) results.push(notif);
+      for (const item of items) {
+        if (item.activity) item.activity.delivery = notif.delivery === 'held' ? 'held' : 'summary';
+      }
     } else {
       for (const item of items) {
-        const notif = await sendNotification(item.product, item.change);
+        const notif = await sendNotification(item.product, item.change, item.url || item.product.url);
         if (notif) {
-          if (item.url) notif.url = item.url;
           results.push(notif);
+          if (item.activity) item.activity.delivery = notif.delivery;
         }
-        recordNotification(item.product, type, cooldowns);
+        recordNotification(item.product, item.change, cooldowns);
       }
     }
   }
@@ -783,7 +2056,11 @@ async function sendSummaryNotification(type, items, cooldowns) {
   let title = '';
   let message = '';
   const count = items.length;
-  const names = items.slice(0, 4).map(i => i.product.name);
+  // Per-color/per-size changes name the variant they concern
+  const names = items.slice(0, 4).map(i => {
+    const variant = i.change.color || i.change.size;
+    return variant && variant !== i.product.color ? `${i.product.name} (${variant})` : i.product.name;
+  });
   const nameList = count > 4
     ? names.join(', ') + ` + ${count - 4} more`
     : names.join(', ');
@@ -818,6 +2095,10 @@ async function sendSummaryNotification(type, items, cooldowns) {
       title = `\u{1F3A8} New Colors for ${count} Products`;
       message = nameList;
       break;
+    case 'color_available':
+      title = `\u{1F389} ${count} Colors Back in Your Size!`;
+      message = nameList;
+      break;
     case 'moved_to_markdown':
       title = `\u{1F3F7}\uFE0F ${count} Products Moved to WMTM!`;
       message = nameList;
@@ -826,116 +2107,707 @@ async function sendSummaryNotification(type, items, cooldowns) {
       title = `\u274C ${count} Products Discontinued`;
       message = nameList;
       break;
+    case 'target_reached':
+      title = `\u{1F3AF} ${count} Products Hit Your Target Price!`;
+      message = nameList;
+      break;
     default:
       title = `\u{1F514} ${count} Product Updates`;
       message = nameList;
   }
 
+  // A click shows the batch in the Activity tab; the first product's URL
+  // is what webhooks link to. The app icon, not a product photo: a
+  // summary lists several products and shouldn't cost a download
   const notifId = `lulu-batch-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
-  await chrome.notifications.create(notifId, {
-    type: 'basic',
-    iconUrl: items[0]?.product?.image || 'icons/icon128.png',
-    title,
-    message,
+  const url = items[0].url || items[0].product.url;
+  const urls = [...new Set(items.map(i => i.url || i.product.url))];
+  const delivery = await deliverNotification({
+    id: notifId, type, title, message, url, urls, iconUrl: 'icons/icon128.png',
+    items: items.map(getSummaryListItem),
+  });
+
+  // Record cooldown for all items in the batch
+  for (const item of items) {
+    recordNotification(item.product, item.change, cooldowns);
+  }
+
+  return { id: notifId, url, urls, delivery };
+}
+
+// ── Send OS notification ─────────────────────────────────
+
+/**
+ * Title and message describing one product change, or null for types
+ * without a notification.
+ */
+function getNotificationContent(product, change) {
+  let title = '';
+  let message = '';
+  const productLabel = `${product.name} — ${change.color || product.color}`;
+
+  switch (change.type) {
+    case 'status_change':
+      title = getStatusTitle(change.to);
+      message = `${productLabel}\n${getStatusMessage(change.from, change.to, change.size || product.size)}`;
+      break;
+    case 'price_change':
+      title = change.to < change.from ? '📉 Price Drop!' : '📈 Price Increased';
+      message = `${productLabel}\n$${change.from} → $${change.to}`;
+      break;
+    case 'went_on_sale':
+      title = '🏷️ Now On Sale!';
+      message = productLabel;
+      break;
+    case 'new_color':
+      title = '🎨 New Color Available!';
+      message = `${product.productLine}\nNew color: ${change.color}`;
+      break;
+    case 'color_available': {
+      title = change.to === 'low_stock' ? '⚠️ Color Available — Few Left!' : '🎉 Color Available in Your Size!';
+      const priceLabel = change.price ? ` · $${change.price}` : '';
+      message = `${productLabel}\nSize ${product.size}${priceLabel}`;
+      break;
+    }
+    case 'moved_to_markdown':
+      title = '🏷️ Moved to We Made Too Much!';
+      message = `${productLabel}\nNow $${change.salePrice} (was $${change.listPrice})`;
+      break;
+    case 'discontinued':
+      title = '\u274C Product Discontinued';
+      message = `${productLabel}\nThis product appears to have been removed from the store.`;
+      break;
+    case 'target_reached': {
+      title = '\u{1F3AF} Target Price Reached!';
+      const wasLabel = change.originalPrice ? ` (was $${change.originalPrice})` : '';
+      message = `${productLabel}\nNow $${change.to}${wasLabel} · target ${formatTarget(product)}`;
+      break;
+    }
+    default:
+      return null;
+  }
+  return { title, message };
+}
+
+async function sendNotification(product, change, url = product.url) {
+  const content = getNotificationContent(product, change);
+  if (!content) return null;
+
+  const notifId = `lulu-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  const variant = { productId: product.productId, color: product.color, size: product.size };
+  const delivery = await deliverNotification({
+    id: notifId, type: change.type, ...content, url, iconUrl: product.image || 'icons/icon128.png', product: variant,
+  }, { immediate: isBreakthrough(product, change) });
+
+  return { id: notifId, url, delivery, product: variant };
+}
+
+function getStatusTitle(status) {
+  switch (status) {
+    case 'low_stock': return '⚠️ Almost Sold Out!';
+    case 'sold_out': return '❌ Sold Out';
+    case 'in_stock': return '🎉 Back in Stock!';
+    case 'discontinued': return '\u274C Discontinued';
+    default: return '🔔 Status Changed';
+  }
+}
+
+const STOCK_STATUS_LABELS = { in_stock: 'In Stock', low_stock: 'Low Stock', sold_out: 'Sold Out' };
+
+function getStatusMessage(from, to, size) {
+  const sizeLabel = size && size !== 'Not selected' ? ` (Size: ${size})` : '';
+  return `Status: ${STOCK_STATUS_LABELS[from] || from} → ${STOCK_STATUS_LABELS[to] || to}${sizeLabel}`;
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 27: Notification channels
+//
+// Every notification goes through deliverNotification(), which hands
+// it to each channel from getNotificationChannels(): the desktop
+// (chrome.notifications) always, plus one channel per enabled entry in
+// settings.webhooks. A notification is
+//   { id, type, title, message, url, iconUrl, items? }
+// with type one of ALERT_TYPE_LABELS; a webhook with a `types` list
+// only receives those. `items` ({ title, message } per product) makes
+// the desktop notification a list (FEATURE 31).
+//
+// Webhooks POST JSON shaped by their format (WEBHOOK_FORMATS). A failed
+// delivery is queued in webhookQueue and retried on later alarm ticks,
+// backing off from WEBHOOK_RETRY_BASE_MS, until WEBHOOK_MAX_ATTEMPTS.
+// ══════════════════════════════════════════════════════════
+
+// Only web URLs can be shown as images by the receiving apps
+function getRemoteImage(notification) {
+  return /^https?:/.test(notification.iconUrl || '') ? notification.iconUrl : null;
+}
+
+// format → (notification, webhook URL) → { url, body }
+const WEBHOOK_FORMATS = {
+  discord: (n, url) => ({
+    url,
+    body: {
+      username: 'LuluTracker',
+      embeds: [{
+        title: n.title,
+        description: n.message,
+        ...(n.url ? { url: n.url } : {}),
+        ...(getRemoteImage(n) ? { thumbnail: { url: getRemoteImage(n) } } : {}),
+      }],
+    },
+  }),
+  slack: (n, url) => ({
+    url,
+    body: { text: `*${n.title}*\n${n.message}${n.url ? `\n<${n.url}|Open>` : ''}` },
+  }),
+  // Topic URL (https://ntfy.sh/my-topic) → JSON publish to the server root
+  ntfy: (n, topicUrl) => {
+    const { url, topic } = splitNtfyTopicUrl(topicUrl);
+    return {
+      url,
+      body: {
+        topic,
+        title: n.title,
+        message: n.message,
+        ...(n.url ? { click: n.url } : {}),
+        ...(getRemoteImage(n) ? { icon: getRemoteImage(n) } : {}),
+      },
+    };
+  },
+  json: (n, url) => ({
+    url,
+    body: {
+      source: 'lulutracker',
+      type: n.type,
+      title: n.title,
+      message: n.message,
+      url: n.url || null,
+      image: getRemoteImage(n),
+      date: new Date().toISOString(),
+    },
+  }),
+};
+
+/**
+ * 'https://ntfy.sh/my-topic/' → { url: 'https://ntfy.sh/', topic: 'my-topic' }.
+ * The topic is the last path segment (a trailing slash is ignored); the
+ * rest, with any ?auth= query, is the server to publish to.
+ */
+function splitNtfyTopicUrl(topicUrl) {
+  const parsed = new URL(topicUrl);
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const topic = segments.pop() || '';
+  parsed.pathname = `/${segments.map(segment => `${segment}/`).join('')}`;
+  parsed.hash = '';
+  return { url: parsed.href, topic };
+}
+
+async function getNotificationChannels() {
+  const { webhooks } = await getSettings();
+  return [
+    { id: 'desktop', accepts: () => true, send: sendDesktopNotification },
+    ...webhooks.filter(w => w.enabled && w.url).map(webhook => ({
+      id: webhook.id,
+      accepts: (type) => webhook.types.length === 0 || webhook.types.includes(type),
+      send: (notification) => sendWebhook(webhook, notification),
+    })),
+  ];
+}
+
+/**
+ * Send a notification through every channel that accepts its type, or
+ * hold it for later during quiet hours / in digest mode (unless
+ * `immediate`). Returns 'sent' or 'held'.
+ */
+async function deliverNotification(notification, { immediate = false } = {}) {
+  if (!immediate && await holdNotification(notification)) return 'held';
+  await sendToChannels(notification);
+  return 'sent';
+}
+
+// One channel failing doesn't keep the notification from the others
+async function sendToChannels(notification) {
+  const types = notification.types || [notification.type];
+  for (const channel of await getNotificationChannels()) {
+    if (!types.some(type => channel.accepts(type))) continue;
+    try {
+      await channel.send(notification);
+    } catch (err) {
+      console.warn(`[LuluTracker] Notification channel ${channel.id} failed:`, err);
+    }
+  }
+}
+
+async function sendDesktopNotification(notification) {
+  await chrome.notifications.create(notification.id, {
+    title: notification.title,
+    message: notification.message,
     priority: 2,
     requireInteraction: true,
+    ...(notification.product && { buttons: NOTIFICATION_BUTTONS.map(b => ({ title: b.title })) }),
+    ...await getNotificationTemplate(notification),
+  });
+}
+
+function buildWebhookRequest(webhook, notification) {
+  const format = WEBHOOK_FORMATS[webhook.format] || WEBHOOK_FORMATS.json;
+  return { webhookId: webhook.id, ...format(notification, webhook.url) };
+}
+
+/**
+ * POST one request; throws on network errors, timeouts and non-2xx replies.
+ */
+async function postWebhookRequest({ url, body }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (err) {
+    throw err.name === 'AbortError' ? new Error('Timed out') : err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function sendWebhook(webhook, notification) {
+  const request = buildWebhookRequest(webhook, notification);
+  try {
+    await postWebhookRequest(request);
+  } catch (err) {
+    console.warn(`[LuluTracker] Webhook delivery failed, queued for retry: ${err.message}`);
+    await queueWebhookRetry(request, err.message);
+  }
+}
+
+async function queueWebhookRetry(request, error) {
+  const { webhookQueue = [] } = await chrome.storage.local.get('webhookQueue');
+  const now = Date.now();
+  webhookQueue.push({
+    ...request,
+    id: `hook-${now}-${Math.random().toString(36).slice(2, 6)}`,
+    attempts: 1,
+    lastError: error,
+    createdAt: now,
+    nextAttemptAt: now + WEBHOOK_RETRY_BASE_MS,
+  });
+  await chrome.storage.local.set({ webhookQueue: webhookQueue.slice(-MAX_WEBHOOK_QUEUE) });
+}
+
+/**
+ * Retry queued deliveries that are due. Deliveries for a webhook that has
+ * since been removed or turned off are dropped.
+ */
+async function retryWebhookQueue() {
+  const { webhookQueue = [] } = await chrome.storage.local.get('webhookQueue');
+  if (webhookQueue.length === 0) return;
+
+  const { webhooks } = await getSettings();
+  const active = new Set(webhooks.filter(w => w.enabled).map(w => w.id));
+  const now = Date.now();
+  const remaining = [];
+
+  for (const entry of webhookQueue) {
+    if (!active.has(entry.webhookId)) continue;
+    if (entry.nextAttemptAt > now) {
+      remaining.push(entry);
+      continue;
+    }
+    try {
+      await postWebhookRequest(entry);
+    } catch (err) {
+      entry.attempts += 1;
+      entry.lastError = err.message;
+      if (entry.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        console.warn(`[LuluTracker] Webhook delivery dropped after ${entry.attempts} attempts: ${err.message}`);
+        continue;
+      }
+      entry.nextAttemptAt = now + WEBHOOK_RETRY_BASE_MS * 2 ** (entry.attempts - 1);
+      remaining.push(entry);
+    }
+  }
+
+  // Deliveries queued while this ran are kept too
+  const { webhookQueue: current = [] } = await chrome.storage.local.get('webhookQueue');
+  const seen = new Set(webhookQueue.map(entry => entry.id));
+  const added = current.filter(entry => !seen.has(entry.id));
+  await chrome.storage.local.set({ webhookQueue: [...remaining, ...added].slice(-MAX_WEBHOOK_QUEUE) });
+}
+
+/**
+ * Send a sample notification to one webhook right away (options page
+ * "Send test"); failures are reported, not queued.
+ */
+async function testWebhook(webhook) {
+  try {
+    await postWebhookRequest(buildWebhookRequest(webhook, {
+      id: 'lulu-test',
+      type: 'status_change',
+      title: '🎉 Back in Stock!',
+      message: 'Align High-Rise Pant 25" — Black\nStatus: Sold Out → In Stock (Size: 6)',
+      url: 'https://shop.lululemon.com/',
+      iconUrl: null,
+    }));
+    return { success: true };
+  } catch (err) {
+    return { success: false, reason: err.message };
+  }
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 28: Quiet hours and daily digest
+//
+// deliverNotification() asks holdNotification() first. During quiet
+// hours (settings.quietHours, local time, may span midnight) and all
+// day in digest mode, notifications are stored in notificationHold
+//   { until, items: [notification] }
+// instead of shown, and a one-shot NOTIFY_ALARM_NAME alarm is set for
+// `until` — the end of the quiet period, or the next digest time. Then
+// releaseHeldNotifications() delivers them: a digest as one summary,
+// after quiet hours one by one (or as a summary when there are
+// settings.notificationGroupThreshold or more).
+// Back-in-stock alerts on products marked high priority skip the hold.
+// ══════════════════════════════════════════════════════════
+
+/**
+ * Whether a change breaks through quiet hours and the digest: the
+ * product is marked high priority and it (or, for any-color items, one
+ * of its colors) is back in stock.
+ */
+function isBreakthrough(product, change) {
+  if (!product.highPriority) return false;
+  return change.type === 'color_available' ||
+    (change.type === 'status_change' && change.from === 'sold_out' && change.to !== 'sold_out');
+}
+
+// "HH:MM" → minutes after midnight
+function parseTimeOfDay(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+// First time after `now` the local clock reads `minutes` after midnight
+function getNextTimeOfDay(minutes, now = Date.now()) {
+  const next = new Date(now);
+  next.setHours(0, minutes, 0, 0);
+  if (next.getTime() <= now) next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+function isQuietTime(quietHours, now = Date.now()) {
+  if (!quietHours.enabled) return false;
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  const date = new Date(now);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * When notifications created now may be shown, or null for right away.
+ */
+function getReleaseTime(settings, now = Date.now()) {
+  if (settings.digest.enabled) {
+    return getNextTimeOfDay(parseTimeOfDay(settings.digest.time), now);
+  }
+  if (isQuietTime(settings.quietHours, now)) {
+    return getNextTimeOfDay(parseTimeOfDay(settings.quietHours.end), now);
+  }
+  return null;
+}
+
+/**
+ * Store the notification for later if now is quiet time or digest mode
+ * is on. Returns whether it was held.
+ */
+async function holdNotification(notification) {
+  const now = Date.now();
+  const until = getReleaseTime(await getSettings(), now);
+  if (until === null) return false;
+
+  const heldUntil = await withStorageLock(async () => {
+    const { notificationHold: hold = { until: null, items: [] } } =
+      await chrome.storage.local.get('notificationHold');
+    // Items already waiting keep their release time
+    if (!hold.until || hold.until <= now) hold.until = until;
+    hold.items = [...hold.items, notification].slice(-MAX_HELD_NOTIFICATIONS);
+    await chrome.storage.local.set({ notificationHold: hold });
+    return hold.until;
+  });
+  chrome.alarms.create(NOTIFY_ALARM_NAME, { when: heldUntil });
+  console.log(`[LuluTracker] Holding "${notification.title}" until ${new Date(heldUntil).toLocaleString()}`);
+  return true;
+}
+
+/**
+ * Deliver held notifications once their release time has come (or the
+ * quiet hours / digest settings no longer hold them); otherwise move the
+ * release to what the current settings say.
+ */
+async function releaseHeldNotifications() {
+  const settings = await getSettings();
+
+  // Taken off the hold under the lock, so one racing with a hold or
+  // another release is neither lost nor sent twice; sent after it
+  const items = await withStorageLock(async () => {
+    const { notificationHold: hold } = await chrome.storage.local.get('notificationHold');
+    if (!hold?.items.length) return [];
+
+    const now = Date.now();
+    const until = getReleaseTime(settings, now);
+    if (until !== null && now < hold.until) {
+      hold.until = until;
+      await chrome.storage.local.set({ notificationHold: hold });
+      chrome.alarms.create(NOTIFY_ALARM_NAME, { when: until });
+      return [];
+    }
+    await chrome.storage.local.set({ notificationHold: { until: null, items: [] } });
+    return hold.items;
+  });
+  if (items.length === 0) return;
+
+  const digest = settings.digest.enabled;
+  console.log(`[LuluTracker] Releasing ${items.length} held notifications${digest ? ' as a digest' : ''}`);
+  if (!digest && items.length < settings.notificationGroupThreshold) {
+    for (const notification of items) await sendToChannels(notification);
+    return;
+  }
+  const summary = getHeldSummary(items, digest);
+  await sendToChannels(summary);
+  await saveNotificationUrls([summary]);
+}
+
+const MAX_SUMMARY_LINES = 10;
+
+/**
+ * One notification listing held ones: a count per alert type, then a
+ * line per notification (its title and first message line).
+ */
+function getHeldSummary(items, digest) {
+  const count = items.length;
+  const byType = {};
+  for (const item of items) byType[item.type] = (byType[item.type] || 0) + 1;
+  const counts = Object.entries(byType)
+    .map(([type, n]) => `${n} ${ALERT_TYPE_LABELS[type] || type}`)
+    .join(' · ');
+  const listItems = items.map(item => ({ title: item.title, message: item.message.split('\n')[0] }));
+  const lines = listItems.slice(0, MAX_SUMMARY_LINES).map(item => `${item.title} ${item.message}`);
+  if (count > MAX_SUMMARY_LINES) lines.push(`+ ${count - MAX_SUMMARY_LINES} more`);
+
+  return {
+    id: `lulu-batch-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    type: 'digest',
+    types: Object.keys(byType),
+    title: digest
+      ? `\u2600\uFE0F Daily Digest — ${count} Alert${count === 1 ? '' : 's'}`
+      : `\u{1F319} ${count} Alert${count === 1 ? '' : 's'} During Quiet Hours`,
+    message: `${counts}\n${lines.join('\n')}`,
+    url: items[0].url,
+    urls: [...new Set(items.flatMap(item => item.urls || [item.url]))],
+    iconUrl: 'icons/icon128.png',
+    items: listItems,
+  };
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 30: Notification actions
+//
+// notificationMap keeps, per notification id, what saveNotificationUrls()
+// was given: { url, product, urls } (older entries are a bare URL).
+//   - Clicking a product notification opens its page; clicking a
+//     summary opens the popup's Activity tab filtered to `urls`, handed
+//     over in activityFocus.
+//   - Product notifications carry NOTIFICATION_BUTTONS (Chrome shows at
+//     most two; "open product" is the click itself).
+// A snoozed product is still checked; its changes are logged but not
+// notified until snoozedUntil.
+// ══════════════════════════════════════════════════════════
+
+const NOTIFICATION_BUTTONS = [
+  { title: 'Snooze 24h', run: (p) => snoozeProduct(p.productId, p.color, p.size, Date.now() + SNOOZE_MS) },
+  { title: 'Stop tracking', run: (p) => removeProduct(p.productId, p.color, p.size) },
+];
+
+/**
+ * Look up and forget a notification's map entry, pruning entries older
+ * than 24h on the way.
+ */
+async function takeNotificationTarget(notifId) {
+  const { notificationMap = {} } = await chrome.storage.local.get('notificationMap');
+  const target = notificationMap[notifId];
+  delete notificationMap[notifId];
+
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+  for (const [id] of Object.entries(notificationMap)) {
+    const ts = parseInt(id.match(/lulu-(?:batch-|col-)?(\d+)-/)?.[1] || '0');
+    if (ts > 0 && ts < cutoff) delete notificationMap[id];
+  }
+
+  await chrome.storage.local.set({ notificationMap });
+  return typeof target === 'string' ? { url: target } : target || null;
+}
+
+/**
+ * Show the popup's Activity tab filtered to these product URLs. The
+ * popup can only be opened programmatically in a focused window on
+ * recent Chrome; otherwise it opens in a tab.
+ */
+async function openActivityFocus(urls) {
+  await chrome.storage.local.set({ activityFocus: { urls, createdAt: Date.now() } });
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') });
+  }
+}
+
+/**
+ * Hold back notifications for a product until `until` (null resumes).
+ */
+function snoozeProduct(productId, color, size, until) {
+  return updateTrackedProducts((trackedProducts) => {
+    const match = trackedProducts.find(p => isSameVariant(p, { productId, color, size }));
+    if (!match) return { success: false };
+    match.snoozedUntil = until || null;
+    return { success: true };
   });
+}
+
+chrome.notifications.onClicked.addListener(async (notifId) => {
+  const target = await takeNotificationTarget(notifId);
+  chrome.notifications.clear(notifId);
+  if (target?.urls) {
+    await openActivityFocus(target.urls);
+  } else if (target?.url) {
+    chrome.tabs.create({ url: target.url });
+  }
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notifId, buttonIndex) => {
+  const target = await takeNotificationTarget(notifId);
+  chrome.notifications.clear(notifId);
+  const button = NOTIFICATION_BUTTONS[buttonIndex];
+  if (!target?.product || !button) return;
+
+  const result = await button.run(target.product);
+  console.log(`[LuluTracker] ${button.title} from notification: ${result.success ? 'done' : 'product not found'}`);
+  await updateBadge();
+  await scheduleCheckAlarm();
+});
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 31: Rich notifications
+//
+// Desktop notifications pick their template from the notification:
+//   - `items` → list: one row per product, with what changed, under
+//     the app icon (summaries carry no photo)
+//   - a web iconUrl (the product's og:image) → image: the photo,
+//     downloaded here and passed as a data: URL
+//   - otherwise → basic with the app icon
+// A photo that can't be loaded falls back to basic, so an alert is
+// never lost to an image. Webhooks keep linking the original URL.
+// ══════════════════════════════════════════════════════════
+
+/**
+ * chrome.notifications template fields (type, iconUrl and imageUrl or
+ * items) for a notification.
+ */
+async function getNotificationTemplate(notification) {
+  const remoteImage = getRemoteImage(notification);
+  const photo = remoteImage ? await fetchImageDataUrl(remoteImage) : null;
+  const iconUrl = photo || (remoteImage ? 'icons/icon128.png' : notification.iconUrl || 'icons/icon128.png');
 
-  // Record cooldown for all items in the batch
-  for (const item of items) {
-    recordNotification(item.product, type, cooldowns);
+  if (notification.items?.length) {
+    return { type: 'list', iconUrl, items: getNotificationListItems(notification.items) };
   }
-
-  // Link notification click to the first product in batch
-  return { id: notifId, url: items[0].url || items[0].product.url };
+  if (photo) {
+    return { type: 'image', iconUrl, imageUrl: photo };
+  }
+  return { type: 'basic', iconUrl };
 }
 
-// ── Send OS notification ─────────────────────────────────
-
-async function sendNotification(product, change) {
-  let title = '';
-  let message = '';
-  const productLabel = `${product.name} — ${product.color}`;
+// Chrome shows MAX_NOTIFICATION_LIST_ITEMS rows; the last one says how many didn't fit
+function getNotificationListItems(items) {
+  if (items.length <= MAX_NOTIFICATION_LIST_ITEMS) return items;
+  const shown = items.slice(0, MAX_NOTIFICATION_LIST_ITEMS - 1);
+  return [...shown, { title: `+ ${items.length - shown.length} more`, message: '' }];
+}
 
+/**
+ * A summary's row for one product: its name (and the color or size the
+ * change concerns) and old → new price or status.
+ */
+function getSummaryListItem({ product, change }) {
+  const variant = change.color || change.size;
+  const title = variant && variant !== product.color ? `${product.name} (${variant})` : product.name;
+  const status = (s) => STOCK_STATUS_LABELS[s] || s;
+  let message;
   switch (change.type) {
     case 'status_change':
-      title = getStatusTitle(change.to);
-      message = `${productLabel}\n${getStatusMessage(change.from, change.to, product.size)}`;
+      message = `${status(change.from)} → ${status(change.to)}`;
       break;
     case 'price_change':
-      title = change.to < change.from ? '📉 Price Drop!' : '📈 Price Increased';
-      message = `${productLabel}\n$${change.from} → $${change.to}`;
+      message = `$${change.from} → $${change.to}`;
       break;
     case 'went_on_sale':
-      title = '🏷️ Now On Sale!';
-      message = productLabel;
+      message = change.price && change.originalPrice
+        ? `$${change.originalPrice} → $${change.price}`
+        : 'Now on sale';
       break;
     case 'new_color':
-      title = '🎨 New Color Available!';
-      message = `${product.productLine}\nNew color: ${change.color}`;
+      message = 'New color';
+      break;
+    case 'color_available':
+      message = `${status(change.to)}${change.price ? ` · $${change.price}` : ''}`;
       break;
     case 'moved_to_markdown':
-      title = '🏷️ Moved to We Made Too Much!';
-      message = `${productLabel}\nNow $${change.salePrice} (was $${change.listPrice})`;
+      message = `$${change.listPrice} → $${change.salePrice}`;
+      break;
+    case 'target_reached':
+      message = `${change.originalPrice ? `$${change.originalPrice} → ` : ''}$${change.to}`;
       break;
     case 'discontinued':
-      title = '\u274C Product Discontinued';
-      message = `${productLabel}\nThis product appears to have been removed from the store.`;
+      message = 'Discontinued';
       break;
     default:
-      return null;
+      message = ALERT_TYPE_LABELS[change.type] || change.type;
   }
-
-  const notifId = `lulu-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
-  await chrome.notifications.create(notifId, {
-    type: 'basic',
-    iconUrl: product.image || 'icons/icon128.png',
-    title,
-    message,
-    priority: 2,
-    requireInteraction: true,
-  });
-
-  return { id: notifId, url: product.url };
+  return { title, message };
 }
 
-function getStatusTitle(status) {
-  switch (status) {
-    case 'low_stock': return '⚠️ Almost Sold Out!';
-    case 'sold_out': return '❌ Sold Out';
-    case 'in_stock': return '🎉 Back in Stock!';
-    case 'discontinued': return '\u274C Discontinued';
-    default: return '🔔 Status Changed';
+/**
+ * Download an image as a data: URL, or null when it can't be fetched,
+ * isn't an image or is over MAX_NOTIFICATION_IMAGE_BYTES.
+ */
+async function fetchImageDataUrl(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), NOTIFICATION_IMAGE_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal, credentials: 'omit' });
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.startsWith('image/')) return null;
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > MAX_NOTIFICATION_IMAGE_BYTES) return null;
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${contentType.split(';')[0]};base64,${btoa(binary)}`;
+  } catch (err) {
+    console.warn(`[LuluTracker] Could not load notification image ${url}:`, err.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
   }
 }
 
-function getStatusMessage(from, to, size) {
-  const sizeLabel = size && size !== 'Not selected' ? ` (Size: ${size})` : '';
-  const labels = { in_stock: 'In Stock', low_stock: 'Low Stock', sold_out: 'Sold Out' };
-  return `Status: ${labels[from] || from} → ${labels[to] || to}${sizeLabel}`;
-}
-
-// ── Notification click → open product page ───────────────
-
-chrome.notifications.onClicked.addListener(async (notifId) => {
-  const { notificationMap = {} } = await chrome.storage.local.get('notificationMap');
-  const url = notificationMap[notifId];
-  if (url) {
-    chrome.tabs.create({ url });
-    delete notificationMap[notifId];
-  }
-
-  // Prune notification map entries older than 24h
-  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
-  for (const [id] of Object.entries(notificationMap)) {
-    const ts = parseInt(id.match(/lulu-(?:batch-)?(\d+)-/)?.[1] || '0');
-    if (ts > 0 && ts < cutoff) delete notificationMap[id];
-  }
-
-  await chrome.storage.local.set({ notificationMap });
-  chrome.notifications.clear(notifId);
-});
-
 // ── Message handler ──────────────────────────────────────
 
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
@@ -949,18 +2821,113 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   if (message.action === 'removeProduct') {
     removeProduct(message.productId, message.color, message.size).then(async (result) => {
       await updateBadge();
+      await scheduleCheckAlarm();
       sendResponse(result);
     });
     return true;
   }
+  if (message.action === 'setProductInterval') {
+    setProductInterval(message.productId, message.color, message.size, message.minutes)
+      .then(async (result) => {
+        await scheduleCheckAlarm();
+        sendResponse(result);
+      });
+    return true;
+  }
+  if (message.action === 'setProductPriority') {
+    setProductPriority(message.productId, message.color, message.size, message.highPriority)
+      .then(sendResponse);
+    return true;
+  }
+  if (message.action === 'setProductAlertPrefs') {
+    setProductAlertPrefs(message.productId, message.color, message.size, message.alertPrefs)
+      .then(sendResponse);
+    return true;
+  }
+  if (message.action === 'snoozeProduct') {
+    snoozeProduct(message.productId, message.color, message.size, message.until)
+      .then(sendResponse);
+    return true;
+  }
+  if (message.action === 'setTrackNewColors') {
+    setTrackNewColors(message.productId, message.color, message.size, message.enabled)
+      .then(sendResponse);
+    return true;
+  }
+  if (message.action === 'setProductTarget') {
+    setProductTarget(message.productId, message.color, message.size, message.target)
+      .then(async (result) => {
+        await updateBadge();
+        sendResponse(result);
+      });
+    return true;
+  }
   if (message.action === 'getProducts') {
-    chrome.storage.local.get('trackedProducts', (data) => {
-      sendResponse(data.trackedProducts || []);
-    });
+    getTrackedProducts().then(sendResponse);
     return true;
   }
   if (message.action === 'checkNow') {
-    checkAllProducts().then(() => sendResponse({ success: true }));
+    checkAllProducts()
+      .then(() => checkCollections())
+      .then(() => checkMarkdownWatch())
+      .then(() => sendResponse({ success: true }));
+    return true;
+  }
+  if (message.action === 'exportData') {
+    exportData().then(sendResponse);
+    return true;
+  }
+  if (message.action === 'previewImport') {
+    previewImport(message.data).then(sendResponse);
+    return true;
+  }
+  if (message.action === 'applyImport') {
+    applyImport(message.data, message.resolution)
+      .then(async (result) => {
+        // The lists are saved by now; a failure here isn't a failed import
+        try {
+          await updateBadge();
+          await scheduleCheckAlarm();
+        } catch (err) {
+          console.warn('[LuluTracker] Rescheduling after import failed:', err);
+        }
+        sendResponse(result);
+      })
+      .catch((err) => {
+        console.warn('[LuluTracker] Import failed:', err);
+        sendResponse({ success: false, reason: `Import failed: ${err.message}` });
+      });
+    return true;
+  }
+  if (message.action === 'testWebhook') {
+    testWebhook(message.webhook).then(sendResponse);
+    return true;
+  }
+  if (message.action === 'markActivityRead') {
+    markActivityRead(message.ids || null).then(sendResponse);
+    return true;
+  }
+  if (message.action === 'addCollection') {
+    addCollection(message.collection).then(sendResponse);
+    return true;
+  }
+  if (message.action === 'renameCollection') {
+    updateCollection(message.key, (c) => { c.name = message.name; }).then(sendResponse);
+    return true;
+  }
+  if (message.action === 'setCollectionSort') {
+    updateCollection(message.key, (c) => {
+      c.sort = message.sort;
+      c.url = message.url;
+    }).then(sendResponse);
+    return true;
+  }
+  if (message.action === 'removeCollection') {
+    removeCollection(message.key).then(sendResponse);
+    return true;
+  }
+  if (message.action === 'setCollectionMonitor') {
+    setCollectionMonitor(message.key, message.monitor).then(sendResponse);
     return true;
   }
   if (message.action === 'clearChangeBadge') {
@@ -980,27 +2947,15 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   // 'productPageChanged' is handled by popup.js — no background action needed
 });
 
+function isSameVariant(p, { productId, color, size }) {
+  return p.productId === productId && p.color === color && p.size === size;
+}
+
 async function addProduct(product) {
-  const { trackedProducts = [] } = await chrome.storage.local.get('trackedProducts');
-  const exists = trackedProducts.some(p =>
-    p.productId === product.productId &&
-    p.color === product.color &&
-    p.size === product.size
-  );
-  if (exists) return { success: false, reason: 'Already tracking this product.' };
-
-  const newProduct = {
-    ...product,
-    addedAt: Date.now(),
-    trackNewColors: true,
-    lastChange: null,
-    consecutiveFailures: 0,
-    lastFetchError: null,
-    consecutive404s: 0,
-    discontinued: false,
-    discontinuedAt: null,
-    priceHistory: [],
-  };
+  const alreadyTracked = { success: false, reason: 'Already tracking this product.' };
+  if ((await getTrackedProducts()).some(p => isSameVariant(p, product))) return alreadyTracked;
+
+  const newProduct = createTrackedProduct({ ...product, addedAt: Date.now() });
 
   // Immediately fetch the live page to establish the correct baseline
   try {
@@ -1013,6 +2968,9 @@ async function addProduct(product) {
       if (liveData.originalPrice !== null) newProduct.originalPrice = liveData.originalPrice;
       newProduct.onSale = liveData.onSale;
       newProduct.stockStatus = liveData.stockStatus;
+      if (liveData.sfccVariation) newProduct.sfccVariation = liveData.sfccVariation;
+      if (liveData.colorAvailability) newProduct.colorAvailability = liveData.colorAvailability;
+      if (liveData.sizeAvailability) newProduct.sizeAvailability = liveData.sizeAvailability;
       newProduct.lastChecked = Date.now();
       newProduct.consecutiveFailures = 0;
       newProduct.lastFetchError = null;
@@ -1025,43 +2983,560 @@ async function addProduct(product) {
   } catch (err) {
     console.warn('[LuluTracker] Baseline fetch failed, using content script data:', err);
   }
+  newProduct.timeline.push({ type: 'tracked', date: Date.now(), status: newProduct.stockStatus });
+
+  planNextCheck(newProduct, await getSettings());
+  // Checked again: the same variant may have been added during the fetch
+  return updateTrackedProducts((trackedProducts) => {
+    if (trackedProducts.some(p => isSameVariant(p, product))) return alreadyTracked;
+    trackedProducts.push(newProduct);
+    return { success: true };
+  });
+}
 
-  trackedProducts.push(newProduct);
-  await chrome.storage.local.set({ trackedProducts });
-  return { success: true };
+function removeProduct(productId, color, size) {
+  return updateTrackedProducts((trackedProducts) => {
+    const index = trackedProducts.findIndex(p => isSameVariant(p, { productId, color, size }));
+    if (index < 0) return { success: false };
+    trackedProducts.splice(index, 1);
+    return { success: true };
+  });
+}
+
+/**
+ * Set or clear (minutes = null) a product's check interval override.
+ */
+async function setProductInterval(productId, color, size, minutes) {
+  const settings = await getSettings();
+  return updateTrackedProducts((trackedProducts) => {
+    const match = trackedProducts.find(p => isSameVariant(p, { productId, color, size }));
+    if (!match) return { success: false };
+    match.checkIntervalMinutes = minutes ? Number(minutes) : null;
+    planNextCheck(match, settings);
+    return { success: true };
+  });
+}
+
+/**
+ * Mark a product high priority: its back-in-stock alerts skip quiet
+ * hours and the digest.
+ */
+function setProductPriority(productId, color, size, highPriority) {
+  return updateTrackedProducts((trackedProducts) => {
+    const match = trackedProducts.find(p => isSameVariant(p, { productId, color, size }));
+    if (!match) return { success: false };
+    match.highPriority = !!highPriority;
+    return { success: true };
+  });
 }
 
-async function removeProduct(productId, color, size) {
-    const { trackedProducts = [] } = await chrome.storage.local.get('trackedProducts');
-    const index = trackedProducts.findIndex(p =>
-        p.productId === productId && p.color === color && p.size === size
+/**
+ * Replace a product's alert preferences (ALERT_KIND_LABELS key → on/off;
+ * kinds left out follow the global setting).
+ */
+function setProductAlertPrefs(productId, color, size, alertPrefs) {
+  return updateTrackedProducts((trackedProducts) => {
+    const match = trackedProducts.find(p => isSameVariant(p, { productId, color, size }));
+    if (!match) return { success: false };
+    match.alertPrefs = Object.fromEntries(
+      Object.entries(alertPrefs || {}).filter(([kind, on]) => kind in ALERT_KIND_LABELS && typeof on === 'boolean')
     );
-    if (index >= 0) {
-        trackedProducts.splice(index, 1);
-        await chrome.storage.local.set({ trackedProducts });
-        return { success: true };
-    }
-    return { success: false };
+    return { success: true };
+  });
+}
+
+/**
+ * Turn new-color alerts on or off for a product.
+ */
+function setTrackNewColors(productId, color, size, enabled) {
+  return updateTrackedProducts((trackedProducts) => {
+    const match = trackedProducts.find(p => isSameVariant(p, { productId, color, size }));
+    if (!match) return { success: false };
+    match.trackNewColors = !!enabled;
+    return { success: true };
+  });
+}
+
+/**
+ * Set or clear (null) a product's target price and percent-off target.
+ */
+async function setProductTarget(productId, color, size, target) {
+  const targetPrice = Number(target?.targetPrice) || null;
+  const targetPercentOff = Math.round(Number(target?.targetPercentOff)) || null;
+  if ((targetPrice !== null && targetPrice <= 0) ||
+      (targetPercentOff !== null && (targetPercentOff < 1 || targetPercentOff > 95))) {
+    return { success: false, reason: 'Enter a price above $0 and a discount between 1% and 95%.' };
+  }
+
+  return updateTrackedProducts((trackedProducts) => {
+    const match = trackedProducts.find(p => isSameVariant(p, { productId, color, size }));
+    if (!match) return { success: false, reason: 'Product no longer tracked.' };
+    match.targetPrice = targetPrice;
+    match.targetPercentOff = targetPercentOff;
+    return { success: true, reached: isTargetReached(match) };
+  });
 }
 
 // ══════════════════════════════════════════════════════════
-// Cross-region price comparison
+// FEATURE 23: Export / import
+//
+// Export writes tracked products (with their price history and
+// timeline) and saved collections to a versioned JSON document.
+// Cooldowns, host backoff and other transient state stay behind.
+//
+// Import validates the document, then plans a merge:
+//   products by getProductKey (the key checkAllProducts merges by),
+//   collections by URL;
+//   added      — not tracked here yet
+//   duplicates — already tracked with the same settings
+//   conflicts  — already tracked with different settings
+//                (BACKUP_PRODUCT_SETTINGS / collection name + monitor)
+//   invalid    — entries failing validation (BACKUP_PRODUCT_FIELD_CHECKS
+//                for the copied values), skipped
+// previewImport reports the plan; applyImport re-plans against current
+// storage and applies it, resolving conflicts by keeping the local
+// entry ('keep') or taking the imported settings ('replace'). Price
+// history and timelines of matched entries are merged either way.
 // ══════════════════════════════════════════════════════════
 
-const REGION_URLS = {
-  us: (pid) => `https://shop.lululemon.com/p/_/_/${pid}`,
-  hk: (pid) => `https://www.lululemon.com.hk/en-hk/p/_/${pid}.html`,
-  au: (pid) => `https://www.lululemon.com.au/en-au/p/_/${pid}.html`,
-  jp: (pid) => `https://www.lululemon.co.jp/ja-jp/p/_/${pid}.html`,
-};
-const REGION_CURRENCY_MAP = { us: 'USD', hk: 'HKD', au: 'AUD', jp: 'JPY' };
+const BACKUP_FORMAT = 'lulutracker-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_PRODUCT_SETTINGS = [
+  'url', 'trackNewColors', 'checkIntervalMinutes', 'targetPrice', 'targetPercentOff', 'highPriority',
+  'alertPrefs',
+];
+
+async function exportData() {
+  const trackedProducts = await getTrackedProducts();
+  const savedCollections = await getSavedCollections();
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    trackedProducts,
+    savedCollections,
+  };
+}
 
-const SFCC_API_CONFIG = {
-    hk: { host: 'https://www.lululemon.com.hk', site: 'Sites-HK-Site', locale: 'en_HK' },
-    au: { host: 'https://www.lululemon.com.au', site: 'Sites-AU-Site', locale: 'en_AU' },
-    jp: { host: 'https://www.lululemon.co.jp', site: 'Sites-JP-Site', locale: 'ja_JP' },
+// Value checks for the fields an import copies into a product; a bad
+// interval would otherwise break the alarm period for every product
+const isPositiveNumber = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+const isBoolean = (v) => typeof v === 'boolean';
+const BACKUP_PRODUCT_FIELD_CHECKS = {
+  checkIntervalMinutes: (v) => v === null || (Number.isInteger(v) && v in CHECK_INTERVAL_CHOICES),
+  targetPrice: (v) => v === null || isPositiveNumber(v),
+  targetPercentOff: (v) => v === null || (isPositiveNumber(v) && v <= 95),
+  currentPrice: (v) => v === null || isPositiveNumber(v),
+  originalPrice: (v) => v === null || isPositiveNumber(v),
+  trackNewColors: isBoolean,
+  highPriority: isBoolean,
+  anyColor: isBoolean,
+  alertPrefs: (v) => !!v && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(isBoolean),
+  sizes: (v) => v === null || (Array.isArray(v) && v.every(size => typeof size === 'string')),
 };
 
+function getBackupProductProblem(p) {
+  if (!p || typeof p !== 'object') return 'Not a product entry';
+  for (const field of ['name', 'url', 'color', 'size']) {
+    if (typeof p[field] !== 'string' || !p[field]) return `Missing ${field}`;
+  }
+  if (!getRegionForUrl(p.url)) return 'Not a Lululemon product URL';
+  if (p.productId !== undefined && p.productId !== null && typeof p.productId !== 'string') return 'Invalid productId';
+  if (p.priceHistory !== undefined && !Array.isArray(p.priceHistory)) return 'Invalid priceHistory';
+  if (p.timeline !== undefined && !Array.isArray(p.timeline)) return 'Invalid timeline';
+  for (const [field, isValid] of Object.entries(BACKUP_PRODUCT_FIELD_CHECKS)) {
+    if (p[field] !== undefined && !isValid(p[field])) return `Invalid ${field}`;
+  }
+  return null;
+}
+
+function getBackupCollectionProblem(c) {
+  if (!c || typeof c !== 'object') return 'Not a collection entry';
+  if (typeof c.name !== 'string' || !c.name) return 'Missing name';
+  if (typeof c.url !== 'string' || !getRegionForUrl(c.url)) return 'Not a Lululemon collection URL';
+  return null;
+}
+
+const describeBackupProduct = (p) => `${p.name} — ${p.color} · ${p.size}`;
+
+/**
+ * Plan merging a backup document into the current lists. Returns
+ * { error } for a document that can't be imported at all.
+ */
+function planImport(data, trackedProducts, savedCollections) {
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+    return { error: 'Not a Lulu Tracker backup file.' };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { error: 'The backup has no valid version.' };
+  }
+  if (data.version > BACKUP_VERSION) {
+    return { error: 'The backup was made by a newer version of the extension.' };
+  }
+  if ((data.trackedProducts !== undefined && !Array.isArray(data.trackedProducts)) ||
+      (data.savedCollections !== undefined && !Array.isArray(data.savedCollections))) {
+    return { error: 'The backup is damaged: products and collections must be lists.' };
+  }
+
+  const plan = {
+    products: { added: [], duplicates: [], conflicts: [] },
+    collections: { added: [], duplicates: [], conflicts: [] },
+    invalid: [],
+  };
+
+  const localProducts = new Map(trackedProducts.map(p => [getProductKey(p), p]));
+  const fileKeys = new Set();
+  for (const imported of data.trackedProducts || []) {
+    const problem = getBackupProductProblem(imported);
+    const name = problem ? (imported?.name || 'Unnamed product') : describeBackupProduct(imported);
+    if (problem) {
+      plan.invalid.push({ name, reason: problem });
+      continue;
+    }
+    const key = getProductKey(imported);
+    if (fileKeys.has(key)) {
+      plan.invalid.push({ name, reason: 'Listed twice in the file' });
+      continue;
+    }
+    fileKeys.add(key);
+
+    const local = localProducts.get(key);
+    if (!local) {
+      plan.products.added.push({ key, name, imported });
+      continue;
+    }
+    const fields = BACKUP_PRODUCT_SETTINGS.filter(f =>
+      f in imported && JSON.stringify(imported[f] ?? null) !== JSON.stringify(local[f] ?? null)
+    );
+    plan.products[fields.length > 0 ? 'conflicts' : 'duplicates'].push({ key, name, imported, fields });
+  }
+
+  const localCollections = new Map(savedCollections.map(c => [c.url, c]));
+  const fileUrls = new Set();
+  for (const imported of data.savedCollections || []) {
+    const problem = getBackupCollectionProblem(imported);
+    const name = imported?.name || 'Unnamed collection';
+    if (problem) {
+      plan.invalid.push({ name, reason: problem });
+      continue;
+    }
+    if (fileUrls.has(imported.url)) {
+      plan.invalid.push({ name, reason: 'Listed twice in the file' });
+      continue;
+    }
+    fileUrls.add(imported.url);
+
+    const local = localCollections.get(imported.url);
+    if (!local) {
+      plan.collections.added.push({ key: imported.url, name, imported });
+      continue;
+    }
+    const fields = ['name', 'monitor'].filter(f =>
+      f in imported && (imported[f] ?? null) !== (local[f] ?? null)
+    );
+    plan.collections[fields.length > 0 ? 'conflicts' : 'duplicates'].push({ key: imported.url, name, imported, fields });
+  }
+
+  return plan;
+}
+
+/**
+ * Union of two event lists by date (+ identity), oldest first, capped.
+ */
+function mergeEvents(local = [], imported = [], identity, max) {
+  const byId = new Map();
+  for (const event of [...local, ...imported]) {
+    if (event && typeof event.date === 'number') byId.set(`${event.date}:${identity(event)}`, event);
+  }
+  return [...byId.values()].sort((a, b) => a.date - b.date).slice(-max);
+}
+
+async function previewImport(data) {
+  const trackedProducts = await getTrackedProducts();
+  const savedCollections = await getSavedCollections();
+  const plan = planImport(data, trackedProducts, savedCollections);
+  if (plan.error) return { success: false, reason: plan.error };
+
+  // Names only — the popup/options page doesn't need the entries
+  const summarize = (group) => ({
+    added: group.added.map(e => e.name),
+    duplicates: group.duplicates.map(e => e.name),
+    conflicts: group.conflicts.map(e => ({ name: e.name, fields: e.fields })),
+  });
+  return {
+    success: true,
+    products: summarize(plan.products),
+    collections: summarize(plan.collections),
+    invalid: plan.invalid,
+  };
+}
+
+async function applyImport(data, resolution = 'keep') {
+  const settings = await getSettings();
+  const replace = resolution === 'replace';
+
+  // Re-planned against the current lists, inside the storage lock
+  return updateTrackedProducts(async (trackedProducts) => {
+    const savedCollections = await getSavedCollections();
+    const plan = planImport(data, trackedProducts, savedCollections);
+    if (plan.error) return { success: false, reason: plan.error };
+
+    for (const { imported } of plan.products.added) {
+      // Backups from older versions may lack newer fields. The first check
+      // only records state, so nothing changed since the export alerts
+      const product = createTrackedProduct({
+        ...imported,
+        needsBaseline: true,
+        nextCheckAt: null,
+        blockedReason: null,
+        blockedUntil: null,
+      });
+      planNextCheck(product, settings);
+      trackedProducts.push(product);
+    }
+
+    const productsByKey = new Map(trackedProducts.map(p => [getProductKey(p), p]));
+    for (const { key, imported, fields } of [...plan.products.duplicates, ...plan.products.conflicts]) {
+      const local = productsByKey.get(key);
+      if (replace) {
+        for (const field of fields) local[field] = imported[field];
+        planNextCheck(local, settings);
+      }
+      local.priceHistory = mergeEvents(local.priceHistory, imported.priceHistory,
+        (h) => `${h.price}:${h.wasOnSale}`, MAX_PRICE_HISTORY);
+      local.timeline = mergeEvents(local.timeline, imported.timeline,
+        (e) => e.type, MAX_TIMELINE_EVENTS);
+    }
+
+    for (const { imported } of plan.collections.added) {
+      savedCollections.push(normalizeCollection({ ...imported, addedAt: imported.addedAt || Date.now(), nextCheckAt: null }));
+    }
+    if (replace) {
+      const collectionsByUrl = new Map(savedCollections.map(c => [c.url, c]));
+      for (const { key, imported, fields } of plan.collections.conflicts) {
+        const local = collectionsByUrl.get(key);
+        for (const field of fields) local[field] = imported[field];
+      }
+    }
+
+    await saveSavedCollections(savedCollections);
+    console.log(`[LuluTracker] Imported ${plan.products.added.length} products, ${plan.collections.added.length} collections`);
+    return {
+      success: true,
+      addedProducts: plan.products.added.length,
+      addedCollections: plan.collections.added.length,
+      // Already tracked: price history and timeline merged in
+      merged: plan.products.duplicates.length + plan.products.conflicts.length,
+      updated: replace ? plan.products.conflicts.length + plan.collections.conflicts.length : 0,
+      skipped: plan.invalid.length,
+    };
+  });
+}
+
+// ══════════════════════════════════════════════════════════
+// FEATURE 24: Watchlist sync
+//
+// With settings.syncEnabled, the config of every tracked product and
+// saved collection is mirrored to chrome.storage.sync, one item per
+// entry so two browsers editing different entries never collide:
+//   'p:<product key>' → { url, productId, color, size, targets..., updatedAt }
+//   'c:<collection url>' → { name, url, monitor, updatedAt }
+//   either → { deleted: true, updatedAt } once removed (tombstone)
+// Prices, history, stock state and seen-tile snapshots stay local,
+// which keeps the list well inside the sync quota (100KB, 8KB/item).
+//
+// Each browser remembers, per entry, the version it last agreed on
+// (syncState.base in local storage). A sync compares local, remote
+// and base three-way: a side that changed since base wins; when both
+// changed, the later change wins — so a re-add after a remote removal
+// survives, while an untouched copy of a removed item is dropped.
+// Items pulled from sync get needsBaseline so their first check sets
+// state without alerting.
+// ══════════════════════════════════════════════════════════
+
+const SYNC_PRODUCT_FIELDS = [
+  'url', 'productId', 'name', 'productLine', 'image', 'region', 'color', 'size', 'sizes', 'anyColor',
+  'trackNewColors', 'checkIntervalMinutes', 'targetPrice', 'targetPercentOff', 'highPriority', 'alertPrefs',
+];
+const SYNC_COLLECTION_FIELDS = ['name', 'url', 'monitor'];
+
+function getSyncConfig(item, fields) {
+  const config = {};
+  for (const field of fields) config[field] = item[field] ?? null;
+  return config;
+}
+
+// Whether a storage change touched the synced config of any entry
+function hasSyncConfigChange(change, keyOf, fields) {
+  if (!change) return false;
+  const snapshot = (items) => JSON.stringify((items || [])
+    .map(item => [keyOf(item), getSyncConfig(item, fields)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  return snapshot(change.oldValue) !== snapshot(change.newValue);
+}
+
+function createSyncedProduct(config, now) {
+  return createTrackedProduct({ ...config, addedAt: now, needsBaseline: true });
+}
+
+function createSyncedCollection(config, now) {
+  return normalizeCollection({ ...config, addedAt: now });
+}
+
+// Runs are serialized; edits made during a run queue one more run
+function requestSync() {
+  if (syncRun) {
+    syncQueued = true;
+    return syncRun;
+  }
+  syncRun = syncWatchlist()
+    .catch(err => console.warn('[LuluTracker] Sync failed:', err))
+    .finally(() => {
+      syncRun = null;
+      if (syncQueued) {
+        syncQueued = false;
+        requestSync();
+      }
+    });
+  return syncRun;
+}
+
+async function syncWatchlist() {
+  const settings = await getSettings();
+  if (!settings.syncEnabled) return;
+
+  const { syncState = {} } = await chrome.storage.local.get('syncState');
+  const remote = await chrome.storage.sync.get(null);
+  const base = syncState.base || {};
+  const nextBase = {};
+  const writes = {};
+  const removals = [];
+  const now = Date.now();
+
+  // Merged inside the storage lock, so checks and edits finishing
+  // meanwhile aren't overwritten
+  const { localChanged, counts } = await updateTrackedProducts(async (trackedProducts) => {
+    const savedCollections = await getSavedCollections();
+    let localChanged = false;
+
+    const kinds = [
+      { prefix: 'p:', items: trackedProducts, keyOf: getProductKey, fields: SYNC_PRODUCT_FIELDS, create: createSyncedProduct },
+      { prefix: 'c:', items: savedCollections, keyOf: (c) => c.url, fields: SYNC_COLLECTION_FIELDS, create: createSyncedCollection },
+    ];
+
+    for (const { prefix, items, keyOf, fields, create } of kinds) {
+      const local = new Map(items.map(item => [prefix + keyOf(item), item]));
+      const remoteKeys = Object.keys(remote).filter(k => k.startsWith(prefix));
+
+      for (const key of new Set([...local.keys(), ...remoteKeys])) {
+        const item = local.get(key);
+        const record = remote[key];
+        const known = base[key];
+        const localConfig = item ? JSON.stringify(getSyncConfig(item, fields)) : null;
+
+        if (record?.deleted && now - record.updatedAt > SYNC_TOMBSTONE_TTL_MS) {
+          removals.push(key);
+          if (!item) continue;
+        }
+
+        const remoteChanged = !!record && (!known || record.updatedAt > known.updatedAt);
+        const localEdited = item
+          ? !known || known.deleted || known.config !== localConfig
+          : !!known && !known.deleted;
+        const remoteConfig = record && !record.deleted
+          ? JSON.stringify(getSyncConfig(record, fields)) : null;
+
+        let winner = 'same';
+        if (!record || removals.includes(key)) {
+          winner = item ? 'local' : 'none';
+        } else if (localConfig === remoteConfig) {
+          winner = 'same';
+        } else if (remoteChanged && localEdited) {
+          // Both sides changed: an add counts from when it was made, any
+          // other local edit is being seen just now
+          const localTime = !known || known.deleted ? (item?.addedAt || now) : now;
+          winner = localTime >= record.updatedAt ? 'local' : 'remote';
+        } else if (remoteChanged) {
+          winner = 'remote';
+        } else if (localEdited) {
+          winner = 'local';
+        }
+
+        if (winner === 'none') continue;
+        if (winner === 'local') {
+          writes[key] = item ? { ...JSON.parse(localConfig), updatedAt: now } : { deleted: true, updatedAt: now };
+          nextBase[key] = item ? { updatedAt: now, config: localConfig } : { updatedAt: now, deleted: true };
+        } else if (winner === 'remote') {
+          if (record.deleted) {
+            if (item) items.splice(items.indexOf(item), 1);
+          } else if (item) {
+            Object.assign(item, getSyncConfig(record, fields));
+          } else {
+            items.push(create(getSyncConfig(record, fields), now));
+          }
+          localChanged = true;
+          nextBase[key] = record.deleted
+            ? { updatedAt: record.updatedAt, deleted: true }
+            : { updatedAt: record.updatedAt, config: remoteConfig };
+        } else {
+          nextBase[key] = record.deleted
+            ? { updatedAt: record.updatedAt, deleted: true }
+            : { updatedAt: record.updatedAt, config: remoteConfig };
+        }
+      }
+    }
+
+
+    // Pulled items have no nextCheckAt, so the next tick checks them
+    if (localChanged) await saveSavedCollections(savedCollections);
+    return {
+      localChanged,
+      counts: { products: trackedProducts.length, collections: savedCollections.length },
+    };
+  });
+
+  let lastError = null;
+  try {
+    if (Object.keys(writes).length > 0) {
+      const size = (key, value) => key.length + JSON.stringify(value).length;
+      const remaining = { ...remote, ...writes };
+      for (const key of removals) delete remaining[key];
+      const total = Object.entries(remaining).reduce((sum, [k, v]) => sum + size(k, v), 0);
+      if (total > chrome.storage.sync.QUOTA_BYTES) {
+        throw new Error('Sync storage is full — remove some items or collections');
+      }
+      await chrome.storage.sync.set(writes);
+    }
+    if (removals.length > 0) await chrome.storage.sync.remove(removals);
+  } catch (err) {
+    // Nothing was agreed for the failed writes — retry them next time
+    lastError = err.message || String(err);
+    for (const key of Object.keys(writes)) {
+      if (base[key]) nextBase[key] = base[key];
+      else delete nextBase[key];
+    }
+  }
+
+  await chrome.storage.local.set({
+    syncState: {
+      base: nextBase,
+      lastSyncedAt: now,
+      lastError,
+      ...counts,
+    },
+  });
+  if (localChanged) {
+    await scheduleCheckAlarm();
+    await updateBadge();
+  }
+  console.log(`[LuluTracker] Synced watchlist: ${Object.keys(writes).length} pushed, ${localChanged ? 'local list updated' : 'no local changes'}`);
+}
+
+// ══════════════════════════════════════════════════════════
+// Cross-region price comparison
+// ══════════════════════════════════════════════════════════
+
 async function fetchExchangeRates() {
   const { exchangeRates } = await chrome.storage.local.get('exchangeRates');
   if (exchangeRates && (Date.now() - exchangeRates.lastUpdated) < 24 * 60 * 60 * 1000) {
@@ -1100,13 +3575,13 @@ function extractFirstVariantPrice(html) {
      * - Less likely to be blocked by bot detection
       */
 async function fetchSfccPrice(region, productId) {
-    const config = SFCC_API_CONFIG[region];
-    if (!config) return null;
+    if (!region.sfccApi) return null;
 
-    const url = `${config.host}/on/demandware.store/${config.site}/${config.locale}/Product-ShowQuickView?pid=${productId}`;
-    console.log(`[LuluTracker] SFCC API fetch: ${region} → ${url}`);
+    const url = buildSfccApiUrl(region, 'Product-ShowQuickView', new URLSearchParams({ pid: productId }));
+    console.log(`[LuluTracker] SFCC API fetch: ${region.id} → ${url}`);
 
     try {
+          noteRequest();
           const response = await fetch(url, {
                   headers: {
                             'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
@@ -1115,82 +3590,66 @@ async function fetchSfccPrice(region, productId) {
           });
 
           if (!response.ok) {
-                  console.warn(`[LuluTracker] SFCC API ${region}: HTTP ${response.status}`);
+                  console.warn(`[LuluTracker] SFCC API ${region.id}: HTTP ${response.status}`);
                   return null;
           }
 
           const data = await response.json();
           const product = data?.product;
           if (!product) {
-                  console.warn(`[LuluTracker] SFCC API ${region}: No product in response`);
+                  console.warn(`[LuluTracker] SFCC API ${region.id}: No product in response`);
                   return null;
           }
 
           // Extract price — SFCC returns either range (min/max) or flat price
-          let price = null;
-          const priceData = product.price;
-          if (priceData?.min?.sales?.value) {
-                  price = priceData.min.sales.value;
-          } else if (priceData?.sales?.value) {
-                  price = priceData.sales.value;
-          }
-
-          // Detect if on sale (list price > sales price)
-          let onSale = false;
-          let originalPrice = null;
-          if (priceData?.min?.list?.value && priceData.min.list.value > price) {
-                  onSale = true;
-                  originalPrice = priceData.min.list.value;
-          } else if (priceData?.list?.value && priceData.list.value > price) {
-                  onSale = true;
-                  originalPrice = priceData.list.value;
-          }
+          const { price, onSale, originalPrice } = parseSfccPrice(product.price);
 
           // Check availability
           const available = product.available !== false && price !== null;
 
-          console.log(`[LuluTracker] SFCC API ${region}: price=${price}, currency=${REGION_CURRENCY_MAP[region]}, available=${available}`);
+          console.log(`[LuluTracker] SFCC API ${region.id}: price=${price}, currency=${region.currency}, available=${available}`);
 
           return {
                   price,
-                  currency: REGION_CURRENCY_MAP[region],
+                  currency: region.currency,
                   available,
                   onSale,
                   originalPrice,
           };
     } catch (err) {
-          console.warn(`[LuluTracker] SFCC API ${region} error:`, err.message);
+          console.warn(`[LuluTracker] SFCC API ${region.id} error:`, err.message);
           return null;
     }
 }
 
 async function handleComparePrices({ productId, trackedRegion, trackedPrice, trackedCurrency, trackedColor }) {
-  const regions = ['us', 'hk', 'au', 'jp'];
   const results = {};
 
   results[trackedRegion] = {
     price: trackedPrice,
-    currency: trackedCurrency || REGION_CURRENCY_MAP[trackedRegion],
+    currency: trackedCurrency || getRegionAdapter(trackedRegion)?.currency,
     available: trackedPrice !== null && trackedPrice !== undefined,
   };
 
-  const otherRegions = regions.filter(r => r !== trackedRegion);
+  const otherRegions = REGION_ORDER.filter(r => r !== trackedRegion);
   const fetchPromises = otherRegions.map(async (region) => {
+          const adapter = REGION_ADAPTERS[region];
+          const unavailable = { price: null, currency: adapter.currency, available: false };
           // Use SFCC JSON API for international regions (more reliable than HTML parsing)
-          if (SFCC_API_CONFIG[region]) {
-                    const sfccResult = await fetchSfccPrice(region, productId);
+          if (adapter.sfccApi) {
+                    const sfccResult = await fetchSfccPrice(adapter, productId);
                     if (sfccResult) {
                                 return { region, data: sfccResult };
                     }
-                    return { region, data: { price: null, currency: REGION_CURRENCY_MAP[region], available: false } };
+                    return { region, data: unavailable };
           }
-          // US region: use HTML fetch + parse approach
-    const url = REGION_URLS[region](productId);
+          // Next.js regions: use HTML fetch + parse approach
+    const url = adapter.productUrl(productId);
     try {
 const { html, ok, error } = await fetchWithRetry(url);
               if (!ok) {
                           console.warn(`[LuluTracker] Compare: ${region} fetch failed: ${error}`);
-                          return { region, data: { price: null, currency: REGION_CURRENCY_MAP[region], available: false } };
+                          return { region, data: unavailable };
               }
               const fakeProduct = { url, color: trackedColor || null, size: null };
       const parsed = parseProductHtml(html, fakeProduct);
@@ -1204,7 +3663,7 @@ const { html, ok, error } = await fetchWithRetry(url);
         region,
         data: {
           price: parsed.currentPrice,
-          currency: REGION_CURRENCY_MAP[region],
+          currency: adapter.currency,
           stockStatus: parsed.stockStatus,
           onSale: parsed.onSale,
           available: parsed.currentPrice !== null,
@@ -1212,7 +3671,7 @@ const { html, ok, error } = await fetchWithRetry(url);
       };
     } catch (err) {
       console.warn(`[LuluTracker] Compare fetch failed for ${region}:`, err.message);
-      return { region, data: { price: null, currency: REGION_CURRENCY_MAP[region], available: false } };
+      return { region, data: unavailable };
     }
   });
 
@@ -1234,10 +3693,10 @@ const { html, ok, error } = await fetchWithRetry(url);
 }
 
 async function clearChangeMarkers() {
-  const { trackedProducts = [] } = await chrome.storage.local.get('trackedProducts');
-  for (const p of trackedProducts) {
-    p.lastChange = null;
-  }
-  await chrome.storage.local.set({ trackedProducts });
+  await updateTrackedProducts((trackedProducts) => {
+    for (const p of trackedProducts) {
+      p.lastChange = null;
+    }
+  });
   await updateBadge();
 }
@@ -16,6 +16,9 @@
  *   Learned from: SQDC extension's check-inventory.js, which watches
  *   the price element via MutationObserver to detect product changes.
  *
+ * Region adapters (regions.js, injected before this file) decide whether
+ * the tab is a Next.js or SFCC storefront and supply its stock wording.
+ *
  * Verified against: Metal Vent Tech Short-Sleeve Shirt (Feb 2026)
  */
 
@@ -24,19 +27,17 @@
   let lastUrl = window.location.href;
 
   // ═══════════════════════════════════════════════════════
-  //  Site detection
+  //  Site detection (region adapters from regions.js)
   // ═══════════════════════════════════════════════════════
 
-  function isUSSite() {
-    return window.location.hostname === 'shop.lululemon.com';
+  const region = getRegionForUrl(window.location.href) || OTHER_LULU_REGION;
+
+  function isNextJsSite() {
+    return region.platform === 'nextjs';
   }
 
-  function isIntlSite() {
-    const host = window.location.hostname;
-    return (host.includes('lululemon.com') &&
-            host !== 'shop.lululemon.com' &&
-            host !== 'www.lululemon.com') ||
-           host.includes('lululemon.co.jp');
+  function isSfccSite() {
+    return region.platform === 'sfcc';
   }
 
   // ═══════════════════════════════════════════════════════
@@ -136,10 +137,11 @@
     //   HK English: "Size: US M"
     //   HK Chinese: "尺寸: US XXL"
     //   AU:         "Size : US  (AU) M"
+    //   EU:         "Größe: M" / "Taille : M"
     const sfccSize = document.querySelector('.selected-size-name');
     if (sfccSize) {
       const text = sfccSize.textContent.trim();
-      const match = text.match(/(?:Size|尺寸)\s*:\s*(.+)/i);
+      const match = text.match(/(?:Size|尺寸|サイズ|Größe|Taille)\s*:\s*(.+)/i);
       if (match) {
         let raw = match[1].trim();
         raw = raw.replace(/\(.*?\)/g, ''); // remove parenthetical like (AU), (AU M)
@@ -158,6 +160,18 @@
     return null;
   }
 
+  /**
+   * "HK$1,290" → 1290, "$68.00" → 68, and EU decimal commas:
+   * "120,00 €" → 120, "1.299,95" → 1299.95
+   */
+  function parsePriceText(text) {
+    const digits = text.replace(/[^0-9.,]/g, '');
+    if (/,\d{2}$/.test(digits)) {
+      return parseFloat(digits.replace(/\./g, '').replace(',', '.'));
+    }
+    return parseFloat(digits.replace(/,/g, ''));
+  }
+
   function getPriceFromDOM() {
     // US: <span data-lll-pl="price">
     // Intl: may use different selectors but often similar structure
@@ -176,7 +190,7 @@
       return { currentPrice: null, originalPrice: null, onSale: false };
     }
 
-    const parsed = prices.map(p => parseFloat(p.replace(/[^0-9.]/g, ''))).filter(n => n > 0);
+    const parsed = prices.map(parsePriceText).filter(n => n > 0);
 
     if (parsed.length >= 2) {
       const sorted = [...parsed].sort((a, b) => a - b);
@@ -188,20 +202,17 @@
 
   function getStockStatusFromDOM() {
     // ── US site: check visible text and specific elements ──
-    if (isUSSite()) {
+    if (isNextJsSite()) {
       const bodyText = document.body.innerText.toLowerCase();
 
-      if (bodyText.includes('hurry, only a few left') ||
-          bodyText.includes('only a few left') ||
-          bodyText.includes('almost gone') ||
-          bodyText.includes('low stock')) {
+      if (includesAny(bodyText, [...region.stockText.lowStock, ...(region.stockText.pageLowStock || [])])) {
         return 'low_stock';
       }
 
       const atbBtn = document.querySelector('[class*="addToBag"], [class*="add-to-bag"]');
       if (atbBtn) {
         const btnText = atbBtn.textContent.toLowerCase();
-        if (btnText.includes('sold out') || btnText.includes('join waitlist') || btnText.includes('out of stock')) {
+        if (includesAny(btnText, region.stockText.soldOut)) {
           return 'sold_out';
         }
       }
@@ -231,8 +242,7 @@
         return 'sold_out';
       }
       const btnText = sfccAtb.textContent.toLowerCase();
-      if (btnText.includes('sold out') || btnText.includes('out of stock') || btnText.includes('join waitlist') ||
-          btnText.includes('已售罄') || btnText.includes('缺貨')) {
+      if (includesAny(btnText, region.stockText.soldOut)) {
         return 'sold_out';
       }
     }
@@ -322,13 +332,18 @@
   function extractProductData() {
     if (!window.location.pathname.includes('/p/')) return null;
 
-    if (isUSSite()) {
+    if (isNextJsSite()) {
       return extractUSProductData();
     } else {
       return extractIntlProductData();
     }
   }
 
+  /** Distinct sizes of a list of SKUs/variants, in page order */
+  function uniqueSizes(variants) {
+    return [...new Set(variants.map(v => v.size).filter(Boolean))];
+  }
+
   /** US site extraction — __NEXT_DATA__ + DOM */
   function extractUSProductData() {
     const nextData = getNextData();
@@ -391,11 +406,16 @@
       name: c.name,
     })) || [];
 
+    // Sizes offered in this color (for multi-size tracking)
+    const sizeOptions = urlParams.colorCode && queryData?.skus
+      ? uniqueSizes(queryData.skus.filter(s => s.color?.code === urlParams.colorCode))
+      : [];
+
     return {
       name, color, size, currentPrice, originalPrice, onSale,
       stockStatus, url: window.location.href, image,
-      productLine, productId, availableColors,
-      region: 'US',
+      productLine, productId, availableColors, sizeOptions,
+      region: region.label,
       lastChecked: Date.now(),
     };
   }
@@ -485,13 +505,15 @@
       });
     }
 
+    const sizeOptions = pgData?.hasVariant
+      ? uniqueSizes(pgData.hasVariant.filter(v => v.color === color))
+      : [];
+
     return {
       name, color, size, currentPrice, originalPrice, onSale,
       stockStatus, url: window.location.href, image,
-      productLine: name, productId, availableColors: [...colorMap.values()],
-      region: window.location.hostname.includes('.hk') ? 'HK' :
-              window.location.hostname.includes('.au') ? 'AU' :
-              window.location.hostname.includes('.co.jp') ? 'JP' : 'INTL',
+      productLine: name, productId, availableColors: [...colorMap.values()], sizeOptions,
+      region: region.label,
       lastChecked: Date.now(),
     };
   }
@@ -559,7 +581,7 @@
   contentObserver.observe(mainContent, { childList: true, subtree: true });
 
   // Method 3: Listen for clicks on SFCC color swatches and size buttons
-  if (isIntlSite()) {
+  if (isSfccSite()) {
     document.addEventListener('click', (e) => {
       const swatch = e.target.closest('button[data-color-title], button[data-attr-value]');
       if (swatch) {
@@ -0,0 +1,703 @@
+/**
+ * Options Page Script
+ *
+ * Sections:
+ *   1. Check schedule — global interval, adaptive polling, request budget
+ *   2. Per-product schedules — optional checkIntervalMinutes override per product
+ *   3. Notifications — alert kinds on/off globally and per product,
+ *      cooldown and summary threshold
+ *   4. We Made Too Much watcher — product lines and sizes to scan markdowns for
+ *   5. Webhooks — extra notification channels with type filters
+ *   6. Quiet hours & digest — when notifications are held back
+ *   7. Sync — mirror the watchlist through chrome.storage.sync
+ *   8. Backup & restore — JSON/CSV export, JSON import with a merge preview
+ *
+ * Global settings are written straight to storage (background re-plans its
+ * alarm via storage.onChanged); product edits go through background messages
+ * like the popup's add/remove.
+ */
+
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  await renderGlobalInterval();
+  await renderAdaptivePolling();
+  await renderProductSchedules();
+  await renderNotificationPrefs();
+  await renderMarkdownWatch();
+  await renderWebhooks();
+  await renderQuietHours();
+  await renderSync();
+  renderBackup();
+}
+
+// ══════════════════════════════════════════════════════════
+//  Check schedule
+// ══════════════════════════════════════════════════════════
+
+async function renderGlobalInterval() {
+  const settings = await getSettings();
+  const select = document.getElementById('global-interval');
+  select.innerHTML = buildIntervalOptions(settings.checkIntervalMinutes);
+
+  select.addEventListener('change', async (e) => {
+    await saveSettings({ checkIntervalMinutes: Number(e.target.value) });
+    showStatus('Check interval saved.');
+    await renderProductSchedules();
+  });
+}
+
+async function renderAdaptivePolling() {
+  const settings = await getSettings();
+  const toggle = document.getElementById('adaptive-polling');
+  const budget = document.getElementById('max-requests');
+  toggle.checked = settings.adaptivePolling;
+  budget.value = settings.maxRequestsPerHour;
+
+  toggle.addEventListener('change', async (e) => {
+    await saveSettings({ adaptivePolling: e.target.checked });
+    showStatus(e.target.checked ? 'Adaptive polling on.' : 'Adaptive polling off.');
+  });
+
+  budget.addEventListener('change', async (e) => {
+    const value = Math.round(Number(e.target.value));
+    if (!(value >= 10)) {
+      e.target.value = (await getSettings()).maxRequestsPerHour;
+      showStatus('Budget must be at least 10 requests.', 'error');
+      return;
+    }
+    await saveSettings({ maxRequestsPerHour: value });
+    showStatus('Request budget saved.');
+  });
+}
+
+// ══════════════════════════════════════════════════════════
+//  Per-product schedules
+// ══════════════════════════════════════════════════════════
+
+async function renderProductSchedules() {
+  const listEl = document.getElementById('product-schedules');
+  const emptyEl = document.getElementById('no-products');
+  const settings = await getSettings();
+  const products = await getProducts();
+
+  listEl.innerHTML = '';
+  emptyEl.classList.toggle('hidden', products.length > 0);
+
+  const defaultLabel = `Default (every ${formatInterval(settings.checkIntervalMinutes)})`;
+
+  for (const product of products) {
+    const row = document.createElement('div');
+    row.className = 'product-row';
+    row.innerHTML = `
+      <div class="product-row-info">
+        <div class="product-row-name" title="${escapeHtml(product.name)}">${escapeHtml(product.name)}</div>
+        <div class="product-row-meta">${product.region ? `<span class="region-tag">${escapeHtml(product.region)}</span> ` : ''}${escapeHtml(product.color)} · ${escapeHtml(product.size)}${product.nextCheckAt ? ` · Next check ${timeUntil(product.nextCheckAt)}` : ''}</div>
+      </div>
+      <select class="product-interval">
+        <option value="">${escapeHtml(defaultLabel)}</option>
+        ${buildIntervalOptions(product.checkIntervalMinutes)}
+      </select>
+    `;
+
+    row.querySelector('.product-interval').addEventListener('change', async (e) => {
+      const result = await chrome.runtime.sendMessage({
+        action: 'setProductInterval',
+        productId: product.productId,
+        color: product.color,
+        size: product.size,
+        minutes: e.target.value ? Number(e.target.value) : null,
+      });
+      if (result?.success) {
+        showStatus('Schedule saved.');
+      } else {
+        showStatus('Product no longer tracked.', 'error');
+        await renderProductSchedules();
+      }
+    });
+
+    listEl.appendChild(row);
+  }
+}
+
+// ══════════════════════════════════════════════════════════
+//  Notifications
+// ══════════════════════════════════════════════════════════
+
+async function renderNotificationPrefs() {
+  const settings = await getSettings();
+  const kinds = document.getElementById('alert-kinds');
+  const cooldown = document.getElementById('cooldown-hours');
+  const threshold = document.getElementById('group-threshold');
+  kinds.innerHTML = buildCodeCheckboxes(ALERT_KIND_LABELS, getEnabledAlertKinds({}, settings));
+  cooldown.value = settings.notificationCooldownHours;
+  threshold.value = settings.notificationGroupThreshold;
+
+  kinds.addEventListener('change', async () => {
+    // Only kinds turned off are stored, so new kinds start out on
+    const enabled = [...kinds.querySelectorAll('input:checked')].map(input => input.value);
+    const alertPrefs = Object.fromEntries(
+      Object.keys(ALERT_KIND_LABELS).filter(kind => !enabled.includes(kind)).map(kind => [kind, false])
+    );
+    await saveSettings({ alertPrefs });
+    showStatus('Alert types saved.');
+    await renderProductAlerts();
+  });
+
+  cooldown.addEventListener('change', async (e) => {
+    const value = Number(e.target.value);
+    if (!(value >= 0 && value <= 168)) {
+      e.target.value = (await getSettings()).notificationCooldownHours;
+      showStatus('Cooldown must be between 0 and 168 hours.', 'error');
+      return;
+    }
+    await saveSettings({ notificationCooldownHours: value });
+    showStatus('Cooldown saved.');
+  });
+
+  threshold.addEventListener('change', async (e) => {
+    const value = Math.round(Number(e.target.value));
+    if (!(value >= 2)) {
+      e.target.value = (await getSettings()).notificationGroupThreshold;
+      showStatus('Summaries need at least 2 alerts.', 'error');
+      return;
+    }
+    await saveSettings({ notificationGroupThreshold: value });
+    showStatus('Summary threshold saved.');
+  });
+
+  await renderProductAlerts();
+}
+
+async function renderProductAlerts() {
+  const listEl = document.getElementById('product-alerts');
+  const settings = await getSettings();
+  const products = await getProducts();
+
+  listEl.innerHTML = '';
+  for (const product of products) {
+    const overrides = Object.keys(product.alertPrefs || {}).length;
+    const kinds = getProductAlertKinds(product);
+    const row = document.createElement('details');
+    row.className = 'product-alerts';
+    row.innerHTML = `
+      <summary>
+        <span class="product-row-name">${escapeHtml(product.name)}</span>
+        <span class="product-row-meta">${escapeHtml(product.color)} · ${escapeHtml(product.size)} · ${overrides ? `${overrides} custom` : 'Same as above'}</span>
+      </summary>
+      <div class="code-grid">${buildCodeCheckboxes(kinds, getEnabledAlertKinds(product, settings))}</div>
+    `;
+
+    row.querySelector('.code-grid').addEventListener('change', async (e) => {
+      // Store only where the product differs from the global choice
+      const enabled = [...e.currentTarget.querySelectorAll('input:checked')].map(input => input.value);
+      const alertPrefs = {};
+      for (const kind of Object.keys(kinds)) {
+        const on = enabled.includes(kind);
+        if (on !== isAlertEnabled(kind, {}, settings)) alertPrefs[kind] = on;
+      }
+      const result = await chrome.runtime.sendMessage({
+        action: 'setProductAlertPrefs',
+        productId: product.productId,
+        color: product.color,
+        size: product.size,
+        alertPrefs,
+      });
+      if (result?.success) {
+        showStatus('Product alerts saved.');
+        const count = Object.keys(alertPrefs).length;
+        row.querySelector('.product-row-meta').textContent =
+          `${product.color} · ${product.size} · ${count ? `${count} custom` : 'Same as above'}`;
+      } else {
+        showStatus('Product no longer tracked.', 'error');
+        await renderProductAlerts();
+      }
+    });
+
+    listEl.appendChild(row);
+  }
+}
+
+// Only the kinds the product's store can report
+function getProductAlertKinds(product) {
+  const markdown = supportsMarkdownTransition(getRegionForUrl(product.url));
+  return Object.fromEntries(
+    Object.entries(ALERT_KIND_LABELS).filter(([kind]) => markdown || kind !== 'moved_to_markdown')
+  );
+}
+
+function getEnabledAlertKinds(product, settings) {
+  return Object.keys(ALERT_KIND_LABELS).filter(kind => isAlertEnabled(kind, product, settings));
+}
+
+// ══════════════════════════════════════════════════════════
+//  We Made Too Much watcher
+// ══════════════════════════════════════════════════════════
+
+async function renderMarkdownWatch() {
+  const { markdownWatch } = await getSettings();
+  const enabled = document.getElementById('wmtm-enabled');
+  const region = document.getElementById('wmtm-region');
+  const lines = document.getElementById('wmtm-lines');
+  const sizes = document.getElementById('wmtm-sizes');
+
+  enabled.checked = markdownWatch.enabled;
+  region.innerHTML = REGION_ORDER
+    .filter(id => REGION_ADAPTERS[id].markdownPath)
+    .map(id => `<option value="${id}" ${id === markdownWatch.region ? 'selected' : ''}>${escapeHtml(REGION_ADAPTERS[id].label)}</option>`)
+    .join('');
+  lines.innerHTML = buildCodeCheckboxes(PRODUCT_LINE_FILTERS, markdownWatch.productLines);
+  sizes.innerHTML = buildCodeCheckboxes(SIZE_FILTERS, markdownWatch.sizes);
+
+  const save = async () => {
+    const checkedCodes = (el) =>
+      [...el.querySelectorAll('input:checked')].map(input => input.value);
+    const watch = {
+      enabled: enabled.checked,
+      region: region.value,
+      productLines: checkedCodes(lines),
+      sizes: checkedCodes(sizes),
+    };
+    await saveSettings({ markdownWatch: watch });
+    if (watch.enabled && watch.productLines.length === 0) {
+      showStatus('Pick at least one product line to watch.', 'error');
+    } else {
+      showStatus(watch.enabled ? 'Watcher saved.' : 'Watcher off.');
+    }
+  };
+  for (const el of [enabled, region, lines, sizes]) el.addEventListener('change', save);
+
+  await renderMarkdownWatchState();
+}
+
+async function renderMarkdownWatchState() {
+  const { markdownWatchState: state } = await chrome.storage.local.get('markdownWatchState');
+  const stateEl = document.getElementById('wmtm-state');
+  const findsEl = document.getElementById('wmtm-finds');
+  if (!state?.lastCheckedAt) {
+    stateEl.textContent = 'Not checked yet — the first check records what is already on sale.';
+    findsEl.innerHTML = '';
+    return;
+  }
+
+  const newItems = state.newItems || [];
+  stateEl.textContent = state.lastCheckError
+    ? `Last check failed: ${state.lastCheckError}`
+    : `Last checked ${new Date(state.lastCheckedAt).toLocaleString()} — ${newItems.length} new item${newItems.length === 1 ? '' : 's'}.`;
+  findsEl.innerHTML = newItems.map(item => {
+    const label = `${item.name}${item.color ? ` — ${item.color}` : ''}${item.price ? ` · $${item.price}` : ''}`;
+    return `<a href="${escapeHtml(item.url || state.url)}" target="_blank" rel="noopener">${escapeHtml(label)}</a>`;
+  }).join('');
+}
+
+function buildCodeCheckboxes(codes, selected) {
+  return Object.entries(codes).map(([code, label]) => `
+    <label><input type="checkbox" value="${escapeHtml(code)}" ${selected.includes(code) ? 'checked' : ''}> ${escapeHtml(label)}</label>
+  `).join('');
+}
+
+// ══════════════════════════════════════════════════════════
+//  Webhooks
+// ══════════════════════════════════════════════════════════
+
+const WEBHOOK_PLACEHOLDERS = {
+  discord: 'https://discord.com/api/webhooks/…',
+  slack: 'https://hooks.slack.com/services/…',
+  ntfy: 'https://ntfy.sh/your-topic',
+  json: 'https://example.com/lulutracker',
+};
+
+async function renderWebhooks() {
+  document.getElementById('add-webhook').addEventListener('click', async () => {
+    const { webhooks } = await getSettings();
+    const webhook = {
+      id: `wh-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      url: '',
+      format: 'discord',
+      types: [],
+      enabled: true,
+    };
+    await saveSettings({ webhooks: [...webhooks, webhook] });
+    await renderWebhookList();
+  });
+
+  // Failed deliveries come and go in the background
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.webhookQueue) renderWebhookList();
+  });
+  await renderWebhookList();
+}
+
+async function renderWebhookList() {
+  const { webhooks } = await getSettings();
+  const { webhookQueue = [] } = await chrome.storage.local.get('webhookQueue');
+  const listEl = document.getElementById('webhook-list');
+  listEl.innerHTML = '';
+
+  for (const webhook of webhooks) {
+    const pending = webhookQueue.filter(entry => entry.webhookId === webhook.id);
+    const row = document.createElement('div');
+    row.className = 'webhook';
+    row.innerHTML = `
+      <div class="field-row">
+        <input class="webhook-url" type="text" value="${escapeHtml(webhook.url)}" placeholder="${escapeHtml(WEBHOOK_PLACEHOLDERS[webhook.format])}">
+        <select class="webhook-format">
+          ${Object.entries(WEBHOOK_FORMAT_LABELS).map(([id, label]) =>
+            `<option value="${id}" ${id === webhook.format ? 'selected' : ''}>${escapeHtml(label)}</option>`
+          ).join('')}
+        </select>
+        <input class="webhook-enabled" type="checkbox" title="Send alerts to this webhook" ${webhook.enabled ? 'checked' : ''}>
+      </div>
+      <div class="code-grid webhook-types">${buildCodeCheckboxes(ALERT_TYPE_LABELS, webhook.types)}</div>
+      ${pending.length > 0
+        ? `<p class="hint webhook-pending">${pending.length} failed deliver${pending.length === 1 ? 'y' : 'ies'} waiting for a retry — last error: ${escapeHtml(pending[pending.length - 1].lastError)}</p>`
+        : ''}
+      <div class="button-row">
+        <button class="btn webhook-test">Send test</button>
+        <button class="btn webhook-remove">Remove</button>
+      </div>
+    `;
+
+    const urlInput = row.querySelector('.webhook-url');
+    const save = async (patch) => {
+      const current = (await getSettings()).webhooks;
+      await saveSettings({ webhooks: current.map(w => w.id === webhook.id ? { ...w, ...patch } : w) });
+    };
+
+    urlInput.addEventListener('change', async () => {
+      const url = urlInput.value.trim();
+      if (url && !(await requestWebhookPermission(url))) return;
+      await save({ url });
+      showStatus('Webhook saved.');
+    });
+    row.querySelector('.webhook-format').addEventListener('change', async (e) => {
+      urlInput.placeholder = WEBHOOK_PLACEHOLDERS[e.target.value];
+      await save({ format: e.target.value });
+      showStatus('Webhook saved.');
+    });
+    row.querySelector('.webhook-enabled').addEventListener('change', async (e) => {
+      await save({ enabled: e.target.checked });
+      showStatus(e.target.checked ? 'Webhook on.' : 'Webhook off.');
+    });
+    row.querySelector('.webhook-types').addEventListener('change', async () => {
+      const types = [...row.querySelectorAll('.webhook-types input:checked')].map(input => input.value);
+      await save({ types });
+      showStatus('Alert types saved.');
+    });
+
+    row.querySelector('.webhook-test').addEventListener('click', async () => {
+      const url = urlInput.value.trim();
+      if (!url || !(await requestWebhookPermission(url))) return;
+      const format = row.querySelector('.webhook-format').value;
+      const result = await chrome.runtime.sendMessage({
+        action: 'testWebhook',
+        webhook: { ...webhook, url, format },
+      });
+      showStatus(result?.success ? 'Test sent.' : `Test failed: ${result?.reason || 'no response'}`,
+        result?.success ? 'success' : 'error');
+    });
+    row.querySelector('.webhook-remove').addEventListener('click', async () => {
+      const current = (await getSettings()).webhooks;
+      await saveSettings({ webhooks: current.filter(w => w.id !== webhook.id) });
+      await renderWebhookList();
+    });
+
+    listEl.appendChild(row);
+  }
+}
+
+/**
+ * Webhook hosts aren't in the manifest's host permissions; ask for the
+ * one being configured (optional_host_permissions) so the background
+ * can POST to it.
+ */
+async function requestWebhookPermission(url) {
+  let origin;
+  try {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol)) throw new Error('Not a web URL');
+    origin = `${parsed.origin}/*`;
+  } catch {
+    showStatus('Enter a full http(s) URL.', 'error');
+    return false;
+  }
+  const granted = await chrome.permissions.contains({ origins: [origin] }) ||
+    await chrome.permissions.request({ origins: [origin] });
+  if (!granted) showStatus('Permission to reach that site is needed to send alerts there.', 'error');
+  return granted;
+}
+
+// ══════════════════════════════════════════════════════════
+//  Quiet hours & digest
+// ══════════════════════════════════════════════════════════
+
+async function renderQuietHours() {
+  const { quietHours, digest } = await getSettings();
+  const quietEnabled = document.getElementById('quiet-enabled');
+  const quietStart = document.getElementById('quiet-start');
+  const quietEnd = document.getElementById('quiet-end');
+  const digestEnabled = document.getElementById('digest-enabled');
+  const digestTime = document.getElementById('digest-time');
+  quietEnabled.checked = quietHours.enabled;
+  quietStart.value = quietHours.start;
+  quietEnd.value = quietHours.end;
+  digestEnabled.checked = digest.enabled;
+  digestTime.value = digest.time;
+
+  const saveQuietHours = async () => {
+    await saveSettings({
+      quietHours: {
+        enabled: quietEnabled.checked,
+        start: quietStart.value || DEFAULT_SETTINGS.quietHours.start,
+        end: quietEnd.value || DEFAULT_SETTINGS.quietHours.end,
+      },
+    });
+    showStatus(quietEnabled.checked ? 'Quiet hours saved.' : 'Quiet hours off.');
+  };
+  const saveDigest = async () => {
+    await saveSettings({
+      digest: {
+        enabled: digestEnabled.checked,
+        time: digestTime.value || DEFAULT_SETTINGS.digest.time,
+      },
+    });
+    showStatus(digestEnabled.checked ? 'Daily digest saved.' : 'Daily digest off.');
+  };
+  for (const el of [quietEnabled, quietStart, quietEnd]) el.addEventListener('change', saveQuietHours);
+  for (const el of [digestEnabled, digestTime]) el.addEventListener('change', saveDigest);
+}
+
+// ══════════════════════════════════════════════════════════
+//  Sync
+// ══════════════════════════════════════════════════════════
+
+async function renderSync() {
+  const { syncEnabled } = await getSettings();
+  const toggle = document.getElementById('sync-enabled');
+  toggle.checked = syncEnabled;
+
+  toggle.addEventListener('change', async (e) => {
+    await saveSettings({ syncEnabled: e.target.checked });
+    showStatus(e.target.checked ? 'Sync on.' : 'Sync off — this browser keeps its list.');
+  });
+
+  // The background reports each run in syncState
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.syncState || changes.settings)) renderSyncState();
+  });
+  await renderSyncState();
+}
+
+async function renderSyncState() {
+  const { syncEnabled } = await getSettings();
+  const { syncState } = await chrome.storage.local.get('syncState');
+  const stateEl = document.getElementById('sync-state');
+  stateEl.classList.toggle('hidden', !syncEnabled);
+  if (!syncEnabled) return;
+
+  if (!syncState?.lastSyncedAt) {
+    stateEl.textContent = 'Waiting for the first sync…';
+  } else if (syncState.lastError) {
+    stateEl.textContent = `Last sync failed: ${syncState.lastError}`;
+  } else {
+    stateEl.textContent = `Synced ${new Date(syncState.lastSyncedAt).toLocaleString()} — ` +
+      `${syncState.products} products, ${syncState.collections} collections.`;
+  }
+}
+
+// ══════════════════════════════════════════════════════════
+//  Backup & restore
+// ══════════════════════════════════════════════════════════
+
+const IMPORT_FIELD_LABELS = {
+  url: 'URL',
+  trackNewColors: 'new-color alerts',
+  checkIntervalMinutes: 'check schedule',
+  targetPrice: 'target price',
+  targetPercentOff: 'target % off',
+  highPriority: 'high priority',
+  alertPrefs: 'alert preferences',
+  name: 'name',
+  monitor: 'monitoring',
+};
+
+// Parsed backup waiting for the user to confirm the preview
+let pendingImport = null;
+
+function renderBackup() {
+  const fileInput = document.getElementById('import-file');
+  const preview = document.getElementById('import-preview');
+  const closePreview = () => {
+    pendingImport = null;
+    fileInput.value = '';
+    preview.classList.add('hidden');
+  };
+
+  document.getElementById('export-json').addEventListener('click', async () => {
+    const data = await chrome.runtime.sendMessage({ action: 'exportData' });
+    downloadFile(`lulutracker-backup-${dateStamp()}.json`, JSON.stringify(data, null, 2), 'application/json');
+    showStatus(`Exported ${data.trackedProducts.length} products and ${data.savedCollections.length} collections.`);
+  });
+
+  document.getElementById('export-csv').addEventListener('click', async () => {
+    const data = await chrome.runtime.sendMessage({ action: 'exportData' });
+    downloadFile(`lulutracker-products-${dateStamp()}.csv`, buildProductCsv(data.trackedProducts), 'text/csv');
+    showStatus(`Exported ${data.trackedProducts.length} products.`);
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      closePreview();
+      showStatus('That file is not valid JSON.', 'error');
+      return;
+    }
+    const result = await chrome.runtime.sendMessage({ action: 'previewImport', data });
+    if (!result?.success) {
+      closePreview();
+      showStatus(result?.reason || 'Could not read the backup.', 'error');
+      return;
+    }
+    pendingImport = data;
+    renderImportPreview(result);
+  });
+
+  document.getElementById('import-apply').addEventListener('click', async () => {
+    if (!pendingImport) return;
+    const result = await chrome.runtime.sendMessage({
+      action: 'applyImport',
+      data: pendingImport,
+      resolution: document.getElementById('import-resolution').value,
+    });
+    closePreview();
+    if (!result?.success) {
+      showStatus(result?.reason || 'Import failed.', 'error');
+      return;
+    }
+    showStatus(`Imported ${result.addedProducts} products and ${result.addedCollections} collections; ` +
+      `merged ${result.merged} already tracked, updated ${result.updated}, skipped ${result.skipped} invalid.`);
+    await renderProductSchedules();
+  });
+
+  document.getElementById('import-cancel').addEventListener('click', closePreview);
+}
+
+/**
+ * Show what an import would do: new, already tracked, conflicting and
+ * invalid entries for products and collections.
+ */
+function renderImportPreview(result) {
+  const describeConflict = (c) =>
+    `${c.name} (differs in ${c.fields.map(f => IMPORT_FIELD_LABELS[f] || f).join(', ')})`;
+  const group = (cls, title, items) => items.length === 0 ? '' : `
+    <div class="import-group ${cls}">
+      <strong>${escapeHtml(title)} (${items.length})</strong>
+      <ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+    </div>`;
+
+  const { products, collections, invalid } = result;
+  const html = [
+    group('added', 'New products', products.added),
+    group('duplicates', 'Products already tracked — price history will be merged', products.duplicates),
+    group('conflicts', 'Products tracked here with different settings', products.conflicts.map(describeConflict)),
+    group('added', 'New collections', collections.added),
+    group('duplicates', 'Collections already saved', collections.duplicates),
+    group('conflicts', 'Collections saved here with different settings', collections.conflicts.map(describeConflict)),
+    group('invalid', 'Invalid entries — will be skipped', invalid.map(e => `${e.name}: ${e.reason}`)),
+  ].join('');
+
+  document.getElementById('import-report').innerHTML = html || '<p class="hint">The backup is empty.</p>';
+  document.getElementById('import-conflict-row').classList.toggle('hidden',
+    products.conflicts.length + collections.conflicts.length === 0);
+  document.getElementById('import-preview').classList.remove('hidden');
+}
+
+const CSV_COLUMNS = [
+  'name', 'product_id', 'color', 'size', 'region', 'url', 'stock_status',
+  'current_price', 'original_price', 'on_sale', 'target_price', 'target_percent_off', 'last_checked',
+  'history_date', 'history_price', 'history_on_sale',
+];
+
+/**
+ * One row per price history entry (one row for a product without history),
+ * so the file can be charted or pivoted directly.
+ */
+function buildProductCsv(products) {
+  const isoDate = (ts) => ts ? new Date(ts).toISOString() : '';
+  const rows = [CSV_COLUMNS];
+  for (const p of products) {
+    const base = [
+      p.name, p.productId, p.color, p.size, getRegionForUrl(p.url)?.label || p.region, p.url, p.stockStatus,
+      p.currentPrice, p.originalPrice, p.onSale, p.targetPrice, p.targetPercentOff, isoDate(p.lastChecked),
+    ];
+    const history = p.priceHistory?.length ? p.priceHistory : [null];
+    for (const h of history) {
+      rows.push([...base, h ? isoDate(h.date) : '', h?.price, h ? !!h.wasOnSale : '']);
+    }
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function dateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// ══════════════════════════════════════════════════════════
+//  Shared helpers
+// ══════════════════════════════════════════════════════════
+
+function buildIntervalOptions(selectedMinutes) {
+  return Object.entries(CHECK_INTERVAL_CHOICES).map(([minutes, label]) =>
+    `<option value="${minutes}" ${Number(minutes) === selectedMinutes ? 'selected' : ''}>${escapeHtml(label)}</option>`
+  ).join('');
+}
+
+function timeUntil(timestamp) {
+  const mins = Math.round((timestamp - Date.now()) / 60000);
+  if (mins < 1) return 'due now';
+  if (mins < 60) return `in ${mins}m`;
+  const hrs = Math.round(mins / 60);
+  if (hrs < 48) return `in ${hrs}h`;
+  return `in ${Math.round(hrs / 24)}d`;
+}
+
+function getProducts() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'getProducts' }, (p) => resolve(p || []));
+  });
+}
+
+let statusTimeout = null;
+function showStatus(text, type = 'success') {
+  const el = document.getElementById('status');
+  el.textContent = text;
+  el.className = `status ${type}`;
+  if (statusTimeout) clearTimeout(statusTimeout);
+  statusTimeout = setTimeout(() => el.classList.add('hidden'), 2000);
+}
+
+function escapeHtml(str) {
+  if (str === null || str === undefined) return '';
+  const div = document.createElement('div');
+  div.textContent = String(str);
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
@@ -4,81 +4,38 @@
  * Tabs:
  *   1. Products — track individual product pages (stock, price, colors)
  *   2. Collections — save filtered collection URLs as quick shortcuts
+ *
+ * Storefront specifics (collection URL formats, sort options, flags,
+ * currencies) come from the region adapters in regions.js.
  */
 
 document.addEventListener('DOMContentLoaded', init);
 
-// Known Lululemon sort options (key = URL param value, value = display label)
-// US site uses Ns param, international sites use srule param
-const SORT_OPTIONS_US = {
-  '': 'Featured',
-  'product.last_SKU_addition_dateTime|1': 'New Arrivals',
-  'RATINGS|1': 'Top Rated',
-  'price|0': 'Price: Low → High',
-  'price|1': 'Price: High → Low',
-};
-
-// International srule values by region
-const SORT_OPTIONS_HK = {
-  'HK-bestseller': 'Default (Bestseller)',
-  'Relevance': 'Relevance',
-  'HK-C-N-': 'New Arrivals',
-  'Top sellers': 'Top Sellers',
-  'Price Descending': 'Price: High → Low',
-  'Price Ascending': 'Price: Low → High',
-};
-
-const SORT_OPTIONS_AU = {
-  'aunz-standard-': 'Default',
-  'Relevance': 'Featured',
-  'Price Descending': 'Price: High → Low',
-  'Price Ascending': 'Price: Low → High',
-  'A-Z': 'A → Z',
-  'Z-A': 'Z → A',
-};
-
 // ══════════════════════════════════════════════════════════
 //  Cross-region price comparison state
 // ══════════════════════════════════════════════════════════
 
-const REGION_FLAGS = { us: '\u{1F1FA}\u{1F1F8}', hk: '\u{1F1ED}\u{1F1F0}', au: '\u{1F1E6}\u{1F1FA}', jp: '\u{1F1EF}\u{1F1F5}' };
-const REGION_CURRENCY = { us: 'USD', hk: 'HKD', au: 'AUD', jp: 'JPY' };
 const compareCache = new Map();
 let currentCompareCurrency = 'USD';
 let cachedExchangeRates = null;
 
-function getTrackedRegion(url) {
-  if (url.includes('shop.lululemon.com')) return 'us';
-  if (url.includes('lululemon.com.hk')) return 'hk';
-  if (url.includes('lululemon.com.au')) return 'au';
-  if (url.includes('lululemon.co.jp')) return 'jp';
-  return 'us';
-}
-
 function getCompareKey(product) {
   return `${product.productId}:${product.color}:${product.size}`;
 }
 
 function formatNativePrice(price, currency) {
   if (price === null || price === undefined) return 'N/A';
-  switch (currency) {
-    case 'USD': return `$${price}`;
-    case 'HKD': return `HK$${price}`;
-    case 'AUD': return `A$${price}`;
-    case 'JPY': return `\u00A5${Math.round(price).toLocaleString()}`;
-    default: return `$${price}`;
-  }
+  const fmt = getCurrencyFormat(currency);
+  if (fmt.decimals === 0) return `${fmt.symbol}${Math.round(price).toLocaleString()}`;
+  return `${fmt.symbol}${price}`;
 }
 
 function formatConvertedPrice(amount, currency) {
   if (amount === null || amount === undefined) return 'N/A';
-  switch (currency) {
-    case 'USD': return `US$${amount.toFixed(2)}`;
-    case 'HKD': return `HK$${amount.toFixed(2)}`;
-    case 'AUD': return `A$${amount.toFixed(2)}`;
-    case 'JPY': return `\u00A5${Math.round(amount).toLocaleString()}`;
-    default: return `$${amount.toFixed(2)}`;
-  }
+  const fmt = getCurrencyFormat(currency);
+  const symbol = fmt.convertedSymbol || fmt.symbol;
+  if (fmt.decimals === 0) return `${symbol}${Math.round(amount).toLocaleString()}`;
+  return `${symbol}${amount.toFixed(fmt.decimals)}`;
 }
 
 function convertCurrency(amount, fromCurrency, toCurrency, rates) {
@@ -89,82 +46,6 @@ function convertCurrency(amount, fromCurrency, toCurrency, rates) {
   return (amount / fromRate) * toRate;
 }
 
-/**
- * Detect if a URL belongs to any Lululemon domain.
- * Returns { isLulu: true, region: 'us'|'hk'|'au'|'other', isUS: bool }
- */
-function detectLuluDomain(url) {
-  try {
-    const u = new URL(url);
-    const host = u.hostname;
-    if (host === 'shop.lululemon.com') return { isLulu: true, region: 'us', isUS: true };
-    if (host === 'www.lululemon.com.hk') return { isLulu: true, region: 'hk', isUS: false };
-    if (host === 'www.lululemon.com.au') return { isLulu: true, region: 'au', isUS: false };
-    if (host === 'www.lululemon.co.jp') return { isLulu: true, region: 'jp', isUS: false };
-    if (host.includes('lululemon.com') || host.includes('lululemon.co.jp')) return { isLulu: true, region: 'other', isUS: false };
-    return { isLulu: false, region: null, isUS: false };
-  } catch { return { isLulu: false, region: null, isUS: false }; }
-}
-
-// Filter code → human-readable name mapping
-const FILTER_NAMES = {
-  // Categories
-  'oxc7': "Men's Clothes", 'h1v9': 'Coats & Jackets', 'w1md': 'Hoodies & Sweatshirts',
-  'u9dn': 'Pants', 'f3j9': 'Shirts', 'jn1c': 'Shorts', '49w9': 'Underwear',
-  // Product Lines
-  'sddx': 'ABC', '6dav': 'License To Train', 'peaw': 'Metal Vent Tech',
-  'egx7': 'Pace Breaker', 'yh99': 'Soft Jersey', 'esuu': 'Align',
-  'j8y3': 'Always Down', 'pwhl': 'Always In Motion', 'c827': 'BeCalm',
-  'k158': 'Beyondfeel', 'kg1k': 'Big Cozy', '06p9': 'Built To Move',
-  '237s': 'Chargefeel', 'wq7k': 'Cityverse', '4f60': 'Cross Chill',
-  '5g0x': 'Daydrift', '1xjq': 'Down for It All', 'xplg': 'Ease The Day',
-  '7ki0': 'EasyFive', '8utp': 'EasySet', 'n5c2': 'Engineered Warmth',
-  '3jyo': 'Everywhere', 'b4x4': 'Fast & Free', 'bsxs': 'Featherweight',
-  '2fkn': 'Fundamental', 'h4uh': 'Grand Standard', '5t96': 'Navigation Down',
-  'cjb2': 'Restfeel', '3s3c': 'Slacker', '1ok8': 'Smooth Spacer',
-  '23e2': 'Soft Stretch', 'x8f0': 'Split Shift', 'k0lg': 'Steady State',
-  'd6em': 'Textured Spacer', 'rw1e': 'Unrestricted Power', 't5t3': 'Wildfeel',
-  'm2yt': 'Wunder Puff', '6lfx': 'Zero Tucks', 'qpwg': 'Zeroed In',
-  // Subcategories
-  '2my0': 'Hoodies', 'sgwg': 'Athletic Shorts', 'ug19': 'Half Zip',
-  'g62m': 'Liner Shorts', 'mnkc': 'Athletic Jackets', 'x0md': 'Athletic Pants',
-  'qqnm': 'Boxers', 'ovjw': 'Briefs', 'xv48': 'Crewneck Sweatshirts',
-  'oh18': 'Pullover Sweaters', '58ei': 'Quarter Zip', '8182': 'Sweat Shorts',
-  'qcjs': 'Track Jackets', 'go1x': 'Track Pants', 'dpfg': 'Track Shorts',
-  // Sizes
-  '00in': 'XS', 'vibs': 'S', 'qstj': 'M', 'u2m1': 'L',
-  'q472': 'XL', 'o64u': 'XXL', 'x79j': 'XXXL',
-  // Inseam
-  'ldut': '3"', 'p9fe': '5"', 't5wf': '7"', 'lfne': '9"',
-  'yyug': '27"', 'u756': '28"', 'kqrx': '29"', 'jehg': '30"',
-  '7lsa': '31"', 'g23g': '32"', '4tkd': '34"',
-  // Fit
-  'ydf5': 'Tight Fit', 'oyr3': 'Slim Fit', '53ml': 'Classic Fit',
-  'o9nl': 'Relaxed Fit', 'vc9j': 'Oversized Fit',
-  // Colors
-  'c1a0': 'Black', '110v': 'White', '6lm0': 'Grey', 'vjcx': 'Brown',
-  'yr3d': 'Khaki', 'zrsk3': 'Neutral', 'sn78': 'Red', 'crj8': 'Pink',
-  'vqp4': 'Burgundy', 'lls5': 'Orange', 'flnr': 'Yellow', 'w2wh': 'Green',
-  'td6f': 'Olive', '0vt3': 'Blue', 'ea52': 'Navy', 'h084': 'Purple',
-  'pspv': 'Pastel', '5l40': 'Neon', '2bcn': 'Striped', '9u7a': 'Printed',
-  'um4i': 'Leopard Print', 'mtwv': 'Tie Dye',
-  // Activity
-  'ae4c': 'Workout', 'ynj2': 'Running', 'yk1r': 'Casual', '1m2d': 'Golf',
-  'loe8': 'Lounge', 'f38a': 'Tennis', '4anx': 'Travel', 'pofs': 'Yoga',
-  'qfse': 'Training',
-  // Fabric
-  '3wwi': 'Cotton', 'ir5y': 'Fleece', 'csjh': 'Luxtreme', 'by2w': 'Mesh',
-  'nua5': 'Ripstop', '8bdf': 'Swift',
-  // Features
-  '8avr': 'Pocketed', 'n6yq': 'Multipack', 'd7ck': 'Anti Stink',
-  '41ke': 'Drawstring', 'a1b7': 'Breathable', 'p21b': 'Lightweight',
-  'h591': 'Quick Dry', 'og7t': 'Reflective', 'd5m8': 'Seamless',
-  '7xon': 'Sun Protection', 'uoos': 'Water Repellant',
-  // Weather/Season
-  'fowa': 'Warm Weather', 'gjr2': 'Cold Weather',
-  'w6qx': 'Spring', 'mi4u': 'Summer', '9olv': 'Fall', 'inmi': 'Winter',
-};
-
 async function init() {
   // Tab switching
   document.querySelectorAll('.tab').forEach(tab => {
@@ -175,6 +56,9 @@ async function init() {
   const { compareCurrency } = await chrome.storage.local.get('compareCurrency');
   currentCompareCurrency = compareCurrency || 'USD';
   const currencySelect = document.getElementById('currency-selector');
+  currencySelect.innerHTML = getRegionCurrencies().map(c =>
+    `<option value="${c}">${c}</option>`
+  ).join('');
   currencySelect.value = currentCompareCurrency;
   currencySelect.addEventListener('change', async (e) => {
     currentCompareCurrency = e.target.value;
@@ -186,6 +70,7 @@ async function init() {
   await renderProductList();
   await detectCurrentPage();
   document.getElementById('btn-refresh').addEventListener('click', handleRefresh);
+  document.getElementById('btn-settings').addEventListener('click', () => chrome.runtime.openOptionsPage());
 
   // Collections tab
   await renderCollections();
@@ -193,6 +78,20 @@ async function init() {
   document.getElementById('btn-add-collection').addEventListener('click', handleAddCollection);
   document.getElementById('btn-save-collection').addEventListener('click', handleSaveCollectionPage);
 
+  // Activity tab
+  await renderActivity();
+  document.getElementById('activity-type-filter').addEventListener('change', renderActivity);
+  document.getElementById('activity-region-filter').addEventListener('change', renderActivity);
+  document.getElementById('btn-mark-read').addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ action: 'markActivityRead' });
+    await renderActivity();
+  });
+  document.getElementById('btn-clear-focus').addEventListener('click', async () => {
+    activityFocusUrls = null;
+    await renderActivity();
+  });
+  await applyActivityFocus();
+
   // SPA navigation listener
   chrome.runtime.onMessage.addListener((message) => {
     if (message.action === 'productPageChanged') {
@@ -221,11 +120,10 @@ function switchTab(tabName) {
 async function detectCurrentPage() {
   const trackSection = document.getElementById('track-section');
   const preview = document.getElementById('current-product-preview');
-  const btnTrack = document.getElementById('btn-track');
 
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab?.url || !detectLuluDomain(tab.url).isLulu || !tab.url.includes('/p/')) {
+    if (!tab?.url || !getRegionForUrl(tab.url) || !tab.url.includes('/p/')) {
       trackSection.classList.add('hidden');
       return;
     }
@@ -251,27 +149,69 @@ async function detectCurrentPage() {
       <span class="preview-meta">${regionTag}${escapeHtml(productData.color)} · Size: ${escapeHtml(productData.size)}${priceText}</span>
     `;
 
+    // Size picker: tick more sizes to track them as one item
+    const sizePicker = document.getElementById('size-picker');
+    const sizeOptions = productData.sizeOptions || [];
+    const showSizePicker = sizeOptions.length > 1;
+    sizePicker.classList.toggle('hidden', !showSizePicker);
+    sizePicker.innerHTML = showSizePicker
+      ? `<span class="size-picker-label">Sizes:</span>` + sizeOptions.map(size => `
+        <label class="size-option">
+          <input type="checkbox" value="${escapeHtml(size)}" ${size === productData.size ? 'checked' : ''}>
+          ${escapeHtml(size)}
+        </label>`).join('')
+      : '';
+
+    const anyColorOption = document.getElementById('any-color-option');
+    const anyColorToggle = document.getElementById('any-color-toggle');
+    anyColorToggle.checked = false;
+
     const existingProducts = await getProducts();
-    const alreadyTracked = existingProducts.some(p =>
-      p.productId === productData.productId && p.color === productData.color && p.size === productData.size
-    );
-
-    const newBtn = btnTrack.cloneNode(true);
-    btnTrack.replaceWith(newBtn);
-
-    if (alreadyTracked) {
-      newBtn.innerHTML = `
-        <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
-          <polyline points="20 6 9 17 4 12"/>
-        </svg> Already Tracking`;
-      newBtn.disabled = true;
-    } else {
-      newBtn.innerHTML = `
-        <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
-          <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
-        </svg> Track This Product`;
-      newBtn.addEventListener('click', () => handleTrack(productData, newBtn));
-    }
+    const renderTrackButton = () => {
+      const pickedSizes = showSizePicker
+        ? [...sizePicker.querySelectorAll('input:checked')].map(input => input.value)
+        : getTrackedSizes(productData);
+
+      // "Any color" watches exactly one size
+      anyColorOption.classList.toggle('hidden', pickedSizes.length !== 1);
+      if (pickedSizes.length !== 1) anyColorToggle.checked = false;
+
+      let trackData;
+      if (anyColorToggle.checked) {
+        trackData = { ...productData, size: pickedSizes[0], anyColor: true, color: ANY_COLOR };
+      } else if (pickedSizes.length > 1) {
+        trackData = { ...productData, sizes: pickedSizes, size: pickedSizes.join(' / ') };
+      } else {
+        trackData = { ...productData, size: pickedSizes[0] || 'Not selected' };
+      }
+      delete trackData.sizeOptions;
+
+      const alreadyTracked = existingProducts.some(p =>
+        p.productId === trackData.productId && p.color === trackData.color && p.size === trackData.size
+      );
+
+      const currentBtn = document.getElementById('btn-track');
+      const newBtn = currentBtn.cloneNode(true);
+      currentBtn.replaceWith(newBtn);
+
+      if (alreadyTracked) {
+        newBtn.innerHTML = `
+          <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="20 6 9 17 4 12"/>
+          </svg> Already Tracking`;
+        newBtn.disabled = true;
+      } else {
+        newBtn.innerHTML = `
+          <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
+          </svg> Track This Product`;
+        newBtn.disabled = false;
+        newBtn.addEventListener('click', () => handleTrack(trackData, newBtn));
+      }
+    };
+    anyColorToggle.onchange = renderTrackButton;
+    sizePicker.onchange = renderTrackButton;
+    renderTrackButton();
   } catch (err) {
     console.error('Error detecting page:', err);
     trackSection.classList.add('hidden');
@@ -287,6 +227,7 @@ async function renderProductList() {
 
   if (products.length === 0) {
     emptyState.classList.remove('hidden');
+    await updateFooter(products);
     return;
   }
   emptyState.classList.add('hidden');
@@ -302,7 +243,11 @@ async function renderProductList() {
 
     card.addEventListener('click', (e) => {
       if (e.target.closest('.btn-delete') || e.target.closest('.toggle') ||
-          e.target.closest('.btn-compare') || e.target.closest('.comparison-row')) return;
+          e.target.closest('.btn-compare') || e.target.closest('.comparison-row') ||
+          e.target.closest('.btn-target') || e.target.closest('.target-editor') ||
+          e.target.closest('.btn-priority') || e.target.closest('.btn-snooze') ||
+          e.target.closest('.btn-chart') || e.target.closest('.price-chart') ||
+          e.target.closest('.btn-timeline') || e.target.closest('.timeline')) return;
       chrome.tabs.create({ url: product.url });
     });
 
@@ -322,9 +267,16 @@ async function renderProductList() {
     const statusLabel = getStatusLabel(product.stockStatus);
     const statusClass = product.discontinued ? 'discontinued' : (product.stockStatus || 'in_stock');
     const saleBadgeHtml = product.onSale ? '<span class="status-badge on_sale">On Sale</span>' : '';
+    const targetBadgeHtml = isTargetReached(product)
+      ? `<span class="status-badge target_reached" title="Target: ${escapeHtml(formatTarget(product))}">\u{1F3AF} Target</span>`
+      : '';
+
+    // Host throttling/bot walls pause checks without counting as failures
+    const isBlocked = product.blockedUntil && product.blockedUntil > Date.now();
+    const blockedHtml = isBlocked ? getBlockedBadgeHtml(product) : '';
 
-    const fetchFailures = product.consecutiveFailures || 0;
-    const fetchErrorHtml = fetchFailures >= 3
+    const fetchFailures = product.consecutiveFailures;
+    const fetchErrorHtml = fetchFailures >= 3 && !isBlocked
       ? `<span class="status-badge fetch_error" title="${escapeHtml(product.lastFetchError || 'Check failed')}">⚠ Check Failed</span>`
       : '';
 
@@ -337,6 +289,29 @@ async function renderProductList() {
       : '';
 
     const priceHistoryHtml = getPriceHistoryHtml(product);
+    const colorChipsHtml = product.anyColor ? getColorChipsHtml(product) : '';
+    const sizeStripHtml = product.sizes ? getSizeStripHtml(product) : '';
+    // Any-color items already alert per color, so no new-color toggle
+    const newColorToggleHtml = product.anyColor ? '' : `
+          <label class="toggle" title="Track new colors for this product line">
+            <input type="checkbox" ${product.trackNewColors ? 'checked' : ''}>
+            <span class="slider"></span>
+          </label>
+          <span class="toggle-label">New colors</span>`;
+    const settingsHtml = `
+        <div class="product-settings">
+          ${newColorToggleHtml}
+          <button class="btn-priority${product.highPriority ? ' active' : ''}" title="High priority: back-in-stock alerts skip quiet hours and the daily digest">
+            ${product.highPriority ? '\u2605' : '\u2606'} Priority
+          </button>
+          ${product.snoozedUntil > Date.now() ? `<button class="btn-snooze" title="Notifications snoozed until ${escapeHtml(new Date(product.snoozedUntil).toLocaleString())} — click to resume">\u{1F4A4} Snoozed</button>` : ''}
+          <button class="btn-target${hasPriceTarget(product) ? ' active' : ''}" title="Alert only when the price reaches a target">
+            \u{1F3AF} ${hasPriceTarget(product) ? escapeHtml(formatTarget(product)) : 'Set target'}
+          </button>
+          ${product.timeline?.length ? '<button class="btn-timeline" title="Stock and sale history">\u{1F552} History</button>' : ''}
+        </div>
+        ${getTargetEditorHtml(product)}
+        ${getTimelineHtml(product)}`;
     const compareButtonHtml = product.discontinued
       ? ''
       : '<button class="btn-compare" title="Compare prices across regions">\u{1F310}</button>';
@@ -351,20 +326,18 @@ async function renderProductList() {
         <div class="product-status-row">
           <span class="status-badge ${statusClass}">${statusLabel}</span>
           ${saleBadgeHtml}
+          ${targetBadgeHtml}
           ${fetchErrorHtml}
+          ${blockedHtml}
             ${discontinuedHtml}
           ${priceHtml}
           ${markdownHtml}
           ${compareButtonHtml}
         </div>
+        ${colorChipsHtml}
+        ${sizeStripHtml}
         ${priceHistoryHtml}
-        <div class="product-settings">
-          <label class="toggle" title="Track new colors for this product line">
-            <input type="checkbox" ${product.trackNewColors ? 'checked' : ''}>
-            <span class="slider"></span>
-          </label>
-          <span class="toggle-label">New colors</span>
-        </div>
+        ${settingsHtml}
         <div class="comparison-container"></div>
       </div>
       <button class="btn-delete" data-product-id="${escapeHtml(product.productId)}" data-color="${escapeHtml(product.color)}" data-size="${escapeHtml(product.size)}" title="Stop tracking">
@@ -404,23 +377,107 @@ async function renderProductList() {
       });
     }
 
+    bindTargetEditor(card, product);
+
+    const chartBtn = card.querySelector('.btn-chart');
+    if (chartBtn) chartBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      card.querySelector('.price-chart').classList.toggle('hidden');
+    });
+
+    const timelineBtn = card.querySelector('.btn-timeline');
+    if (timelineBtn) timelineBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      card.querySelector('.timeline').classList.toggle('hidden');
+    });
+
+    card.querySelector('.btn-priority').addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await chrome.runtime.sendMessage({
+        action: 'setProductPriority',
+        productId: product.productId,
+        color: product.color,
+        size: product.size,
+        highPriority: !product.highPriority,
+      });
+      await renderProductList();
+    });
+
+    const snoozeBtn = card.querySelector('.btn-snooze');
+    if (snoozeBtn) snoozeBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await chrome.runtime.sendMessage({
+        action: 'snoozeProduct',
+        productId: product.productId,
+        color: product.color,
+        size: product.size,
+        until: null,
+      });
+      showMessage('Notifications resumed.', 'info');
+      await renderProductList();
+    });
+
     const toggle = card.querySelector('.toggle input');
-    toggle.addEventListener('change', async (e) => {
+    if (toggle) toggle.addEventListener('change', async (e) => {
       e.stopPropagation();
-      const { trackedProducts = [] } = await chrome.storage.local.get('trackedProducts');
-      const match = trackedProducts.find(p =>
-        p.productId === product.productId && p.color === product.color && p.size === product.size
-      );
-      if (match) {
-        match.trackNewColors = e.target.checked;
-        await chrome.storage.local.set({ trackedProducts });
-      }
+      await chrome.runtime.sendMessage({
+        action: 'setTrackNewColors',
+        productId: product.productId,
+        color: product.color,
+        size: product.size,
+        enabled: e.target.checked,
+      });
     });
 
     listEl.appendChild(card);
   });
 
-  updateFooter(products);
+  await updateFooter(products);
+}
+
+// ── Target price editor ──
+
+function getTargetEditorHtml(product) {
+  return `
+        <div class="target-editor hidden">
+          <label>At or under $<input type="number" class="target-price" min="1" step="1" value="${product.targetPrice || ''}"></label>
+          <label>or <input type="number" class="target-percent" min="1" max="95" step="1" value="${product.targetPercentOff || ''}">% off</label>
+          <button class="btn-target-save">Save</button>
+          ${hasPriceTarget(product) ? '<button class="btn-target-clear">Clear</button>' : ''}
+        </div>`;
+}
+
+function bindTargetEditor(card, product) {
+  const editor = card.querySelector('.target-editor');
+  card.querySelector('.btn-target').addEventListener('click', (e) => {
+    e.stopPropagation();
+    editor.classList.toggle('hidden');
+  });
+
+  const save = async (target) => {
+    const result = await chrome.runtime.sendMessage({
+      action: 'setProductTarget',
+      productId: product.productId,
+      color: product.color,
+      size: product.size,
+      target,
+    });
+    if (!result?.success) {
+      showMessage(result?.reason || 'Failed to save target.', 'error');
+      return;
+    }
+    if (!target) showMessage('Target cleared.', 'info');
+    else if (result.reached) showMessage('Target saved — already reached at the current price!', 'success');
+    else showMessage('Target saved. You\'ll be alerted when the price gets there.', 'success');
+    await renderProductList();
+  };
+
+  editor.querySelector('.btn-target-save').addEventListener('click', () => {
+    const targetPrice = editor.querySelector('.target-price').value;
+    const targetPercentOff = editor.querySelector('.target-percent').value;
+    save(targetPrice || targetPercentOff ? { targetPrice, targetPercentOff } : null);
+  });
+  editor.querySelector('.btn-target-clear')?.addEventListener('click', () => save(null));
 }
 
 async function handleTrack(productData, btnEl) {
@@ -449,152 +506,149 @@ async function handleRefresh() {
   btn.classList.remove('spinning');
   showMessage('All products checked!', 'success');
   await renderProductList();
+  await renderActivity();
   setTimeout(() => document.getElementById('message').classList.add('hidden'), 2000);
 }
 
+// ══════════════════════════════════════════════════════════
+//  Activity tab
+// ══════════════════════════════════════════════════════════
+
+const DELIVERY_LABELS = {
+  summary: 'In a summary notification',
+  held: 'Held for quiet hours / digest',
+  suppressed: 'Not notified (cooldown)',
+  muted: 'Not notified (alert turned off)',
+  snoozed: 'Not notified (snoozed)',
+};
+
+// Product URLs of the summary notification that opened the popup, if any
+let activityFocusUrls = null;
+
+/**
+ * A summary notification was clicked (background FEATURE 30): open on the
+ * Activity tab showing only the products it covered.
+ */
+async function applyActivityFocus() {
+  const { activityFocus } = await chrome.storage.local.get('activityFocus');
+  if (!activityFocus) return;
+  await chrome.storage.local.remove('activityFocus');
+  if (Date.now() - activityFocus.createdAt > 60 * 1000) return;
+  activityFocusUrls = activityFocus.urls;
+  switchTab('activity');
+  await renderActivity();
+}
+
+/**
+ * Render the activity log newest first. The filters only offer types
+ * and stores that occur in the log, keeping the current selection.
+ */
+async function renderActivity() {
+  const { activityLog = [] } = await chrome.storage.local.get('activityLog');
+  const listEl = document.getElementById('activity-list');
+  const emptyEl = document.getElementById('activity-empty');
+  const typeSelect = document.getElementById('activity-type-filter');
+  const regionSelect = document.getElementById('activity-region-filter');
+
+  const unread = activityLog.filter(e => !e.read).length;
+  const unreadEl = document.getElementById('activity-unread');
+  unreadEl.textContent = unread;
+  unreadEl.classList.toggle('hidden', unread === 0);
+
+  const buildOptions = (select, allLabel, values, labelOf) => {
+    const selected = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>` + values.map(v =>
+      `<option value="${escapeHtml(v)}">${escapeHtml(labelOf(v))}</option>`
+    ).join('');
+    select.value = values.includes(selected) ? selected : '';
+  };
+  buildOptions(typeSelect, 'All types', [...new Set(activityLog.map(e => e.type))],
+    (type) => ALERT_TYPE_LABELS[type] || type);
+  buildOptions(regionSelect, 'All stores', [...new Set(activityLog.map(e => e.region).filter(Boolean))],
+    (id) => getRegionAdapter(id)?.label || OTHER_LULU_REGION.label);
+
+  const entries = activityLog.filter(e =>
+    (!typeSelect.value || e.type === typeSelect.value) &&
+    (!regionSelect.value || e.region === regionSelect.value) &&
+    (!activityFocusUrls || activityFocusUrls.includes(e.url))
+  ).reverse();
+
+  const focusEl = document.getElementById('activity-focus');
+  focusEl.classList.toggle('hidden', !activityFocusUrls);
+  if (activityFocusUrls) {
+    const count = activityFocusUrls.length;
+    document.getElementById('activity-focus-label').textContent =
+      `Showing ${count} product${count === 1 ? '' : 's'} from a notification`;
+  }
+
+  listEl.innerHTML = '';
+  emptyEl.classList.toggle('hidden', entries.length > 0);
+  emptyEl.querySelector('p').textContent = activityLog.length > 0
+    ? 'Nothing matches these filters.' : 'No activity yet.';
+
+  for (const entry of entries) {
+    const region = entry.region ? getRegionAdapter(entry.region)?.label || OTHER_LULU_REGION.label : '';
+    const item = document.createElement('div');
+    item.className = `activity-item${entry.read ? '' : ' unread'}`;
+    item.innerHTML = `
+      <div class="activity-title">${escapeHtml(entry.title)}</div>
+      <div class="activity-message">${escapeHtml(entry.message).replace(/\n/g, '<br>')}</div>
+      <div class="activity-meta">
+        ${region ? `<span class="region-tag">${escapeHtml(region)}</span>` : ''}
+        <span>${escapeHtml(ALERT_TYPE_LABELS[entry.type] || entry.type)} · ${timeAgo(entry.date)}</span>
+        ${DELIVERY_LABELS[entry.delivery] ? `<span class="activity-delivery">${DELIVERY_LABELS[entry.delivery]}</span>` : ''}
+      </div>
+    `;
+    item.addEventListener('click', async () => {
+      if (entry.url) chrome.tabs.create({ url: entry.url });
+      if (!entry.read) {
+        await chrome.runtime.sendMessage({ action: 'markActivityRead', ids: [entry.id] });
+        await renderActivity();
+      }
+    });
+    listEl.appendChild(item);
+  }
+}
+
 // ══════════════════════════════════════════════════════════
 //  Collections tab
 // ══════════════════════════════════════════════════════════
 
 /**
- * Parse a Lululemon collection URL (both US and international formats).
- *
- * US format:
- *   https://shop.lululemon.com/c/men-clothes/n1{code1}z{code2}?Ns=sort
- *   → filterCodes: ['oxc7', 'peaw'], sort via Ns param
- *
- * International format:
- *   https://www.lululemon.com.hk/en-hk/c/men?prefn1=collection&prefv1=Metal+Vent+Tech|Pace+Breaker&srule=HK-C-N-
- *   → filterNames: ['Metal Vent Tech', 'Pace Breaker'], sort via srule param
+ * Parse a Lululemon collection URL with its storefront's collection
+ * format (see regions.js): US filter codes + Ns sort, or SFCC filter
+ * names + srule sort.
  */
 function parseCollectionUrl(url) {
   try {
     const u = new URL(url);
-    const { isLulu, isUS, region } = detectLuluDomain(url);
-    if (!isLulu) return null;
+    const region = getRegionForUrl(url);
+    if (!region) return null;
 
     // Must contain /c/ in the path
     if (!u.pathname.includes('/c/')) return null;
 
-    if (isUS) {
-      return parseUSCollectionUrl(u, url);
-    } else {
-      return parseIntlCollectionUrl(u, url, region);
-    }
+    return region.parseCollectionUrl(u, url, region);
   } catch {
     return null;
   }
 }
 
-function parseUSCollectionUrl(u, fullUrl) {
-  // Match /c/{category}/n1{codes}
-  const pathMatch = u.pathname.match(/^(\/c\/[^/]+\/)n1(.+)$/);
-  if (pathMatch) {
-    return {
-      format: 'us',
-      basePath: pathMatch[1],
-      filterCodes: pathMatch[2].split('z').filter(Boolean),
-      filterNames: [], // resolved via FILTER_NAMES lookup
-      sort: u.searchParams.get('Ns') || '',
-      sortType: 'Ns',
-      fullUrl,
-      extraParams: {},
-    };
-  }
-  // /c/{category} without filter codes
-  const simpleMatch = u.pathname.match(/^(\/c\/[^/]+)\/?$/);
-  if (simpleMatch) {
-    return {
-      format: 'us',
-      basePath: simpleMatch[1] + '/',
-      filterCodes: [],
-      filterNames: [],
-      sort: u.searchParams.get('Ns') || '',
-      sortType: 'Ns',
-      fullUrl,
-      extraParams: {},
-    };
-  }
-  return null;
-}
-
-function parseIntlCollectionUrl(u, fullUrl, region) {
-  // Extract the category path: /en-hk/c/men  or  /en-au/c/men  or  /zh-tw/c/men
-  const pathMatch = u.pathname.match(/^(\/[^/]+\/c\/[^/?]+)\/?$/);
-  const basePath = pathMatch ? pathMatch[1] : u.pathname;
-
-  // Filters: prefn1=collection, prefv1=A|B|C  (pipe-separated, URL-encoded)
-  const prefv1 = u.searchParams.get('prefv1') || '';
-  const filterNames = prefv1
-    ? prefv1.split('|').map(f => f.trim()).filter(Boolean)
-    : [];
-
-  // Sort rule
-  const srule = u.searchParams.get('srule') || '';
-
-  // Preserve other params (like pmid, prefn1, etc.)
-  const extraParams = {};
-  for (const [key, val] of u.searchParams.entries()) {
-    if (!['prefv1', 'srule'].includes(key)) {
-      extraParams[key] = val;
-    }
-  }
-
-  return {
-    format: 'intl',
-    region,
-    basePath,
-    filterCodes: [], // international doesn't use codes
-    filterNames,
-    sort: srule,
-    sortType: 'srule',
-    fullUrl,
-    extraParams,
-  };
+/**
+ * Storefront of a parsed or saved collection. US collections saved
+ * before regions were recorded fall back by format.
+ */
+function getCollectionRegion(parsed) {
+  return getRegionAdapter(parsed.region) ||
+    (parsed.format === 'us' ? REGION_ADAPTERS.us : OTHER_LULU_REGION);
 }
 
 /**
  * Rebuild a collection URL from parsed parts.
  */
 function buildCollectionUrl(parsed, activeFilters) {
-  if (parsed.format === 'us') {
-    return buildUSCollectionUrl(parsed, activeFilters);
-  } else {
-    return buildIntlCollectionUrl(parsed, activeFilters);
-  }
-}
-
-function buildUSCollectionUrl(parsed, activeCodes) {
-  let url = `https://shop.lululemon.com${parsed.basePath}`;
-  if (activeCodes.length > 0) {
-    url += `n1${activeCodes.join('z')}`;
-  }
-  if (parsed.sort) url += `?Ns=${encodeURIComponent(parsed.sort)}`;
-  return url;
-}
-
-function buildIntlCollectionUrl(parsed, activeNames) {
-  const baseUrl = parsed.fullUrl || parsed.url;
-  if (!baseUrl) return '';
-  const u = new URL(baseUrl);
-
-  // Rebuild with only active filters
-  if (activeNames.length > 0) {
-    u.searchParams.set('prefv1', activeNames.join('|'));
-  } else {
-    u.searchParams.delete('prefv1');
-    u.searchParams.delete('prefn1');
-  }
-
-  // Update srule if changed
-  if (parsed.sort) {
-    u.searchParams.set('srule', parsed.sort);
-  } else {
-    u.searchParams.delete('srule');
-  }
-
-  // searchParams.set() encodes spaces as '+' which is what Lululemon expects
-  return u.toString();
+  const region = getCollectionRegion(parsed);
+  return region.buildCollectionUrl(parsed, activeFilters, region);
 }
 
 /**
@@ -610,11 +664,7 @@ function getFilterDisplayLabel(code, format) {
  * Get the available sort options for a parsed collection.
  */
 function getSortOptions(parsed) {
-  if (parsed.format === 'us') return SORT_OPTIONS_US;
-  if (parsed.region === 'hk') return SORT_OPTIONS_HK;
-  if (parsed.region === 'au') return SORT_OPTIONS_AU;
-  // Fallback: combine known options
-  const opts = { ...SORT_OPTIONS_HK, ...SORT_OPTIONS_AU };
+  const opts = { ...getCollectionRegion(parsed).sortOptions };
   if (parsed.sort && !opts[parsed.sort]) {
     opts[parsed.sort] = parsed.sort; // show raw value if unknown
   }
@@ -633,8 +683,7 @@ async function detectCollectionPage() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tab?.url) { section.classList.add('hidden'); return; }
 
-    const { isLulu } = detectLuluDomain(tab.url);
-    if (!isLulu || !tab.url.includes('/c/')) {
+    if (!getRegionForUrl(tab.url) || !tab.url.includes('/c/')) {
       section.classList.add('hidden');
       return;
     }
@@ -673,7 +722,7 @@ async function detectCollectionPage() {
     `;
 
     // Check if already saved
-    const collections = await getCollections();
+    const collections = await getSavedCollections();
     const alreadySaved = collections.some(c => c.url === tab.url);
 
     const btn = document.getElementById('btn-save-collection');
@@ -714,8 +763,7 @@ async function handleAddCollection() {
     showMessage('Please enter a URL.', 'error');
     return;
   }
-  const { isLulu } = detectLuluDomain(url);
-  if (!isLulu || !url.includes('/c/')) {
+  if (!getRegionForUrl(url) || !url.includes('/c/')) {
     showMessage('Must be a Lululemon collection page (/c/).', 'error');
     return;
   }
@@ -729,30 +777,28 @@ async function handleAddCollection() {
 }
 
 async function saveCollection(name, url) {
-  const collections = await getCollections();
-  if (collections.some(c => c.url === url)) return;
-
   const parsed = parseCollectionUrl(url);
-  collections.push({
-    name,
-    url,
-    format: parsed?.format || 'us',
-    region: parsed?.region || 'us',
-    basePath: parsed?.basePath || '',
-    filterCodes: parsed?.filterCodes || [],
-    filterNames: parsed?.filterNames || [],
-    sort: parsed?.sort || '',
-    sortType: parsed?.sortType || 'Ns',
-    extraParams: parsed?.extraParams || {},
-    addedAt: Date.now(),
+  await chrome.runtime.sendMessage({
+    action: 'addCollection',
+    collection: {
+      name,
+      url,
+      format: parsed?.format || 'us',
+      region: parsed?.region || 'us',
+      basePath: parsed?.basePath || '',
+      filterCodes: parsed?.filterCodes || [],
+      filterNames: parsed?.filterNames || [],
+      sort: parsed?.sort || '',
+      sortType: parsed?.sortType || 'Ns',
+      extraParams: parsed?.extraParams || {},
+    },
   });
-  await chrome.storage.local.set({ savedCollections: collections });
 }
 
 async function renderCollections() {
   const listEl = document.getElementById('collection-list');
   const emptyState = document.getElementById('collection-empty');
-  const collections = await getCollections();
+  const collections = await getSavedCollections();
 
   listEl.querySelectorAll('.collection-card').forEach(el => el.remove());
 
@@ -762,16 +808,16 @@ async function renderCollections() {
   }
   emptyState.classList.add('hidden');
 
-  collections.forEach((col, index) => {
+  collections.forEach((col) => {
     const card = document.createElement('div');
     card.className = 'collection-card';
-    card.dataset.format = col.format || 'us';
+    card.dataset.format = col.format;
 
     // Determine filters to display: use codes for US, names for intl
-    const isUS = (col.format || 'us') === 'us';
+    const isUS = col.format === 'us';
     const filterItems = isUS
-      ? (col.filterCodes || [])
-      : (col.filterNames || []);
+      ? col.filterCodes
+      : col.filterNames;
 
     // Filter chips — clickable to toggle on/off
     const chipsHtml = filterItems.map(item => {
@@ -790,18 +836,20 @@ async function renderCollections() {
       ? `<span class="region-tag">${col.region.toUpperCase()}</span>`
       : '';
 
+    const monitorHtml = getCollectionMonitorHtml(col);
+
     card.innerHTML = `
       <div class="collection-main">
         <div class="collection-name-row">
           <span class="collection-name">${escapeHtml(col.name)} ${regionBadge}</span>
           <div class="collection-actions">
-            <button class="icon-btn-sm btn-edit" data-index="${index}" title="Edit name">
+            <button class="icon-btn-sm btn-edit" title="Edit name">
               <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
               </svg>
             </button>
-            <button class="icon-btn-sm btn-delete-col" data-index="${index}" title="Delete">
+            <button class="icon-btn-sm btn-delete-col" title="Delete">
               <svg viewBox="0 0 24 24" width="12" height="12" fill="none" stroke="currentColor" stroke-width="2">
                 <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
               </svg>
@@ -809,13 +857,34 @@ async function renderCollections() {
           </div>
         </div>
         <div class="collection-meta-row">
-          <select class="sort-select" data-index="${index}">${sortOptionsHtml}</select>
+          <select class="sort-select">${sortOptionsHtml}</select>
           <button class="btn-open" title="Open in new tab">Open →</button>
         </div>
         ${filterItems.length > 0 ? `<div class="collection-chips">${chipsHtml}</div>` : ''}
+        ${monitorHtml}
       </div>
     `;
 
+    // Monitor toggle — background records a baseline when turned on
+    card.querySelector('.collection-monitor .toggle input').addEventListener('change', async (e) => {
+      const monitor = e.target.checked;
+      if (monitor) showMessage('Checking collection...', 'info');
+      await chrome.runtime.sendMessage({
+        action: 'setCollectionMonitor',
+        key: getCollectionKey(col),
+        monitor,
+      });
+      showMessage(monitor ? 'Monitoring for new products.' : 'Monitoring off.', 'success');
+      await renderCollections();
+    });
+
+    card.querySelectorAll('.collection-new-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.tabs.create({ url: item.href });
+      });
+    });
+
     // Open button — builds URL from active filters + selected sort
     card.querySelector('.btn-open').addEventListener('click', () => {
       const activeFilters = getActiveFilters(card);
@@ -829,15 +898,14 @@ async function renderCollections() {
 
     // Sort change → update stored sort
     card.querySelector('.sort-select').addEventListener('change', async (e) => {
-      const idx = parseInt(e.target.dataset.index);
-      const allCollections = await getCollections();
-      allCollections[idx].sort = e.target.value;
       // Rebuild the full URL with new sort
-      const activeFilters = isUS
-        ? allCollections[idx].filterCodes
-        : allCollections[idx].filterNames;
-      allCollections[idx].url = buildCollectionUrl(allCollections[idx], activeFilters);
-      await chrome.storage.local.set({ savedCollections: allCollections });
+      const sorted = { ...col, sort: e.target.value };
+      await chrome.runtime.sendMessage({
+        action: 'setCollectionSort',
+        key: getCollectionKey(col),
+        sort: sorted.sort,
+        url: buildCollectionUrl(sorted, isUS ? col.filterCodes : col.filterNames),
+      });
     });
 
     // Filter chips — click to toggle active/disabled
@@ -851,9 +919,8 @@ async function renderCollections() {
     // Edit name
     card.querySelector('.btn-edit').addEventListener('click', async (e) => {
       e.stopPropagation();
-      const idx = parseInt(e.currentTarget.dataset.index);
       const nameEl = card.querySelector('.collection-name');
-      const currentName = collections[idx].name;
+      const currentName = col.name;
 
       const input = document.createElement('input');
       input.type = 'text';
@@ -868,12 +935,11 @@ async function renderCollections() {
       const save = async () => {
         if (saved) return;
         saved = true;
-        const newName = input.value.trim() || currentName;
-        const fresh = await getCollections();
-        if (idx < fresh.length) {
-          fresh[idx].name = newName;
-          await chrome.storage.local.set({ savedCollections: fresh });
-        }
+        await chrome.runtime.sendMessage({
+          action: 'renameCollection',
+          key: getCollectionKey(col),
+          name: input.value.trim() || currentName,
+        });
         await renderCollections();
       };
 
@@ -887,12 +953,7 @@ async function renderCollections() {
     // Delete
     card.querySelector('.btn-delete-col').addEventListener('click', async (e) => {
       e.stopPropagation();
-      const idx = parseInt(e.currentTarget.dataset.index);
-      const fresh = await getCollections();
-      if (idx < fresh.length) {
-        fresh.splice(idx, 1);
-        await chrome.storage.local.set({ savedCollections: fresh });
-      }
+      await chrome.runtime.sendMessage({ action: 'removeCollection', key: getCollectionKey(col) });
       await renderCollections();
     });
 
@@ -900,6 +961,40 @@ async function renderCollections() {
   });
 }
 
+/**
+ * Monitor toggle, last-check line and the items new since the last check.
+ */
+function getCollectionMonitorHtml(col) {
+  const newItems = col.monitor ? col.newItems : [];
+  let statusText = '';
+  if (col.monitor && col.lastCheckError) {
+    statusText = `<span class="collection-check-error" title="${escapeHtml(col.lastCheckError)}">⚠ Check failed</span>`;
+  } else if (col.monitor && col.lastCheckedAt) {
+    statusText = `Checked ${timeAgo(col.lastCheckedAt)}`;
+  }
+  const newBadge = newItems.length > 0
+    ? `<span class="collection-new-badge">${newItems.length} new since last check</span>`
+    : '';
+  const newListHtml = newItems.length > 0
+    ? `<div class="collection-new-list">${newItems.map(item => {
+        const label = item.type === 'color' ? `${item.name} — new color: ${item.color}` : item.name;
+        return `<a class="collection-new-item" href="${escapeHtml(item.url || col.url)}">${escapeHtml(label)}</a>`;
+      }).join('')}</div>`
+    : '';
+
+  return `
+        <div class="collection-monitor">
+          <label class="toggle" title="Check this collection for newly listed products and colors">
+            <input type="checkbox" ${col.monitor ? 'checked' : ''}>
+            <span class="slider"></span>
+          </label>
+          <span class="toggle-label">Monitor</span>
+          ${newBadge}
+          <span class="collection-check-status">${statusText}</span>
+        </div>
+        ${newListHtml}`;
+}
+
 /**
  * Read currently active (non-disabled) filter chips from a card element.
  */
@@ -939,13 +1034,13 @@ async function handleCompare(product, card, btn) {
   // Show loading
   container.innerHTML = '<div class="comparison-loading"><div class="spinner-small"></div><span>Comparing prices\u2026</span></div>';
 
-  const trackedRegion = getTrackedRegion(product.url);
+  const trackedRegion = getRegionForUrl(product.url) || REGION_ADAPTERS.us;
   const result = await chrome.runtime.sendMessage({
     action: 'comparePrices',
     productId: product.productId,
-    trackedRegion,
+    trackedRegion: trackedRegion.id,
     trackedPrice: product.currentPrice,
-    trackedCurrency: REGION_CURRENCY[trackedRegion],
+    trackedCurrency: trackedRegion.currency,
     trackedColor: product.color,
   });
 
@@ -960,12 +1055,11 @@ async function handleCompare(product, card, btn) {
 }
 
 function renderComparisonRow(container, regions, rates, displayCurrency) {
-  const regionOrder = ['us', 'hk', 'au', 'jp'];
   const entries = [];
   let cheapestUSD = Infinity;
   let cheapestRegion = null;
 
-  for (const r of regionOrder) {
+  for (const r of REGION_ORDER) {
     const data = regions[r];
     if (!data || !data.available || data.price === null) {
       entries.push({ region: r, price: null, currency: null, available: false, convertedUSD: null });
@@ -981,7 +1075,7 @@ function renderComparisonRow(container, regions, rates, displayCurrency) {
 
   // Native prices row
   const nativeParts = entries.map(e => {
-    const flag = REGION_FLAGS[e.region];
+    const flag = REGION_ADAPTERS[e.region].flag;
     if (!e.available) return `<span class="comp-region unavailable">${flag} N/A</span>`;
     const cls = e.region === cheapestRegion ? 'comp-region cheapest' : 'comp-region';
     return `<span class="${cls}">${flag} ${escapeHtml(formatNativePrice(e.price, e.currency))}</span>`;
@@ -1036,12 +1130,6 @@ function getProducts() {
   });
 }
 
-function getCollections() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get('savedCollections', (d) => resolve(d.savedCollections || []));
-  });
-}
-
 function sendMessageToTab(tabId, message) {
   return new Promise((resolve, reject) => {
     chrome.tabs.sendMessage(tabId, message, (response) => {
@@ -1068,7 +1156,24 @@ function getStatusLabel(status) {
   }
 }
 
-function updateFooter(products) {
+/**
+ * Badge for a product whose store host is paused by the background backoff.
+ */
+function getBlockedBadgeHtml(product) {
+  const until = new Date(product.blockedUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  if (product.blockedReason === 'blocked') {
+    return `<span class="status-badge blocked" title="The store served a bot-protection page. Checks paused until ${until}.">🛡 Blocked</span>`;
+  }
+  return `<span class="status-badge rate_limited" title="The store is throttling requests. Checks paused until ${until}.">⏸ Rate Limited</span>`;
+}
+
+async function updateFooter(products) {
+  const settings = await getSettings();
+  const customCount = products.filter(p => p.checkIntervalMinutes).length;
+  const scheduleEl = document.getElementById('check-schedule');
+  scheduleEl.textContent = `Checks every ${formatInterval(settings.checkIntervalMinutes)}` +
+    (customCount > 0 ? ` · ${customCount} custom` : '');
+
   const el = document.getElementById('last-check');
   if (products.length === 0) { el.textContent = ''; return; }
   const latest = Math.max(...products.map(p => p.lastChecked || 0));
@@ -1085,12 +1190,114 @@ function timeAgo(timestamp) {
   return `${Math.floor(hrs / 24)}d ago`;
 }
 
+/**
+ * In-stock colors of an any-color item, cheapest first.
+ */
+function getColorChipsHtml(product) {
+  if (!product.colorAvailability) return '';
+  const available = product.colorAvailability
+    .filter(c => c.stockStatus !== 'sold_out')
+    .sort((a, b) => (a.price || Infinity) - (b.price || Infinity));
+  if (available.length === 0) {
+    return '<div class="color-chips"><span class="color-chips-empty">No colors in stock in this size</span></div>';
+  }
+  const chips = available.map(c => {
+    const title = [c.stockStatus === 'low_stock' ? 'Few left' : '', c.price ? `$${c.price}` : '']
+      .filter(Boolean).join(' · ');
+    return `<span class="color-chip ${c.stockStatus}${c.onSale ? ' on_sale' : ''}" title="${escapeHtml(title)}">${escapeHtml(c.name)}</span>`;
+  }).join('');
+  return `<div class="color-chips">${chips}</div>`;
+}
+
+/**
+ * Stock of each size of a multi-size item, in the order they were picked.
+ */
+function getSizeStripHtml(product) {
+  const bySize = new Map((product.sizeAvailability || []).map(s => [s.size, s]));
+  const cells = product.sizes.map(size => {
+    const entry = bySize.get(size);
+    const title = entry ? getStatusLabel(entry.stockStatus) : 'Not checked yet';
+    return `<span class="size-cell ${entry?.stockStatus || 'unknown'}" title="${escapeHtml(title)}">${escapeHtml(size)}</span>`;
+  }).join('');
+  return `<div class="size-strip">${cells}</div>`;
+}
+
+// ── Stock timeline ──
+
+/**
+ * Timeline events of a product card, newest first. Status entries show
+ * how long that status lasted (until the next status event for the same
+ * size), which is the point of keeping them.
+ */
+function getTimelineHtml(product) {
+  const events = product.timeline;
+  if (events.length === 0) return '';
+
+  const rows = events.map((event, i) => {
+    let duration = '';
+    if (event.type === 'status' || (event.type === 'tracked' && !product.sizes)) {
+      const next = events.slice(i + 1).find(e => e.type === 'status' && e.size === event.size);
+      duration = next
+        ? `lasted ${formatDuration(next.date - event.date)}`
+        : `${formatDuration(Date.now() - event.date)} so far`;
+    }
+    return `
+          <li>
+            <span class="timeline-date">${escapeHtml(formatTimelineDate(event.date))}</span>
+            <span class="timeline-text">${escapeHtml(getTimelineLabel(event))}</span>
+            ${duration ? `<span class="timeline-duration">${escapeHtml(duration)}</span>` : ''}
+          </li>`;
+  }).reverse().join('');
+
+  return `<ol class="timeline hidden">${rows}</ol>`;
+}
+
+function getTimelineLabel(event) {
+  switch (event.type) {
+    case 'tracked':
+      return `Started tracking (${getStatusLabel(event.status)})`;
+    case 'status': {
+      const prefix = event.size ? `Size ${event.size}: ` : '';
+      if (event.from === 'sold_out') return `${prefix}Restocked (${getStatusLabel(event.to)})`;
+      return `${prefix}${getStatusLabel(event.from)} → ${getStatusLabel(event.to)}`;
+    }
+    case 'sale_start':
+      return `On sale at $${event.price}${event.originalPrice ? ` (was $${event.originalPrice})` : ''}`;
+    case 'sale_end':
+      return `Sale ended${event.price ? ` — back to $${event.price}` : ''}`;
+    case 'moved_to_markdown':
+      return `Moved to We Made Too Much — $${event.salePrice} (was $${event.listPrice})`;
+    case 'new_color':
+      return `New color${event.colors.length === 1 ? '' : 's'}: ${event.colors.join(', ')}`;
+    case 'discontinued':
+      return 'Discontinued';
+    default:
+      return event.type;
+  }
+}
+
+function formatTimelineDate(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${date.getMonth()+1}/${date.getDate()} ${time}`;
+}
+
+function formatDuration(ms) {
+  const mins = Math.max(0, Math.floor(ms / 60000));
+  if (mins < 60) return `${mins}m`;
+  const hrs = Math.floor(mins / 60);
+  if (hrs < 24) return `${hrs}h`;
+  const days = Math.floor(hrs / 24);
+  return hrs % 24 ? `${days}d ${hrs % 24}h` : `${days}d`;
+}
+
 /**
  * Build price history display HTML for a product card.
- * Shows: lowest price ever badge, price trend arrow, and tooltip with recent entries.
+ * Shows: price trend arrow, lowest price ever badge, and a sparkline that
+ * expands into the full chart.
  */
 function getPriceHistoryHtml(product) {
-  const history = product.priceHistory || [];
+  const history = product.priceHistory;
   if (history.length === 0) return '';
 
   const prices = history.map(h => h.price).filter(p => typeof p === 'number' && p > 0);
@@ -1122,19 +1329,125 @@ function getPriceHistoryHtml(product) {
     }
   }
 
-  // Build tooltip with recent price entries (last 5)
-  const recentEntries = history.slice(-5);
-  const tooltipLines = recentEntries.map(h => {
-    const date = new Date(h.date);
-    const dateStr = `${date.getMonth()+1}/${date.getDate()}`;
-    const saleTag = h.wasOnSale ? ' (sale)' : '';
-    return `$${h.price}${saleTag} — ${dateStr}`;
-  });
-  const tooltipText = tooltipLines.join('\n');
+  // A single price has nothing to chart
+  const steps = getPriceSteps(history);
+  const sparklineHtml = steps.length >= 2
+    ? `<button class="btn-chart" title="Show price history chart">${getPriceSparklineSvg(steps)}</button>`
+    : '';
 
-  if (!lowestHtml && !trendHtml) return '';
+  if (!lowestHtml && !trendHtml && !sparklineHtml) return '';
+
+  return `
+        <div class="price-history-row">${trendHtml}${lowestHtml}${sparklineHtml}</div>
+        ${sparklineHtml ? `<div class="price-chart hidden">${getPriceChartHtml(steps)}</div>` : ''}`;
+}
 
-  return `<div class="price-history-row" title="${escapeHtml(tooltipText)}">${trendHtml}${lowestHtml}</div>`;
+// ── Price chart ──
+
+const SPARKLINE_SIZE = { width: 64, height: 16, pad: { top: 2, right: 3, bottom: 2, left: 1 } };
+const CHART_SIZE = { width: 300, height: 110, pad: { top: 8, right: 40, bottom: 16, left: 4 } };
+
+/**
+ * priceHistory as steps: each entry's price holds until the next entry
+ * (the last one until now), so sale periods and averages cover time,
+ * not just the moments a check saw a change.
+ */
+function getPriceSteps(history, now = Date.now()) {
+  const entries = history.filter(h => typeof h.price === 'number' && h.price > 0);
+  return entries.map((h, i) => ({
+    price: h.price,
+    wasOnSale: !!h.wasOnSale,
+    start: h.date,
+    end: i + 1 < entries.length ? entries[i + 1].date : Math.max(now, h.date),
+  }));
+}
+
+function getChartScales(steps, { width, height, pad }) {
+  const prices = steps.map(s => s.price);
+  let min = Math.min(...prices);
+  let max = Math.max(...prices);
+  if (min === max) { min -= 1; max += 1; }
+  const first = steps[0].start;
+  const span = Math.max(steps[steps.length - 1].end - first, 1);
+  return {
+    x: (t) => (pad.left + ((t - first) / span) * (width - pad.left - pad.right)).toFixed(1),
+    y: (p) => (pad.top + (1 - (p - min) / (max - min)) * (height - pad.top - pad.bottom)).toFixed(1),
+  };
+}
+
+function getStepPath(steps, { x, y }) {
+  return steps.map((s, i) =>
+    `${i === 0 ? 'M' : 'L'}${x(s.start)},${y(s.price)} L${x(s.end)},${y(s.price)}`
+  ).join(' ');
+}
+
+function getPriceSparklineSvg(steps) {
+  const { width, height } = SPARKLINE_SIZE;
+  const scales = getChartScales(steps, SPARKLINE_SIZE);
+  const last = steps[steps.length - 1];
+  return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+    <path d="${getStepPath(steps, scales)}"/>
+    <circle cx="${scales.x(last.end)}" cy="${scales.y(last.price)}" r="1.8"/>
+  </svg>`;
+}
+
+/**
+ * Full chart: step line over shaded sale periods, min/max/average
+ * reference lines, and a point per recorded price whose tooltip gives
+ * its date. The average is time-weighted over the steps.
+ */
+function getPriceChartHtml(steps) {
+  const { width, height, pad } = CHART_SIZE;
+  const scales = getChartScales(steps, CHART_SIZE);
+  const { x, y } = scales;
+
+  const prices = steps.map(s => s.price);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const totalTime = steps.reduce((sum, s) => sum + (s.end - s.start), 0);
+  const avg = totalTime > 0
+    ? steps.reduce((sum, s) => sum + s.price * (s.end - s.start), 0) / totalTime
+    : prices.reduce((sum, p) => sum + p, 0) / prices.length;
+  const avgLabel = Math.round(avg * 100) / 100;
+
+  const saleRects = steps.filter(s => s.wasOnSale).map(s =>
+    `<rect class="chart-sale" x="${x(s.start)}" y="${pad.top}" width="${(x(s.end) - x(s.start)).toFixed(1)}" height="${height - pad.top - pad.bottom}"/>`
+  ).join('');
+
+  const refLine = (price, cls, label) => `
+    <line class="chart-ref ${cls}" x1="${pad.left}" x2="${width - pad.right}" y1="${y(price)}" y2="${y(price)}"/>
+    <text class="chart-label ${cls}" x="${width - pad.right + 3}" y="${(Number(y(price)) + 3).toFixed(1)}">${escapeHtml(label)}</text>`;
+  const refLines = [
+    refLine(max, 'max', `$${max}`),
+    min !== max ? refLine(min, 'min', `$${min}`) : '',
+    // Skip the average when it would sit on top of min or max
+    avg > min && avg < max ? refLine(avg, 'avg', `$${avgLabel}`) : '',
+  ].join('');
+
+  const points = steps.map(s => `
+    <circle class="chart-point${s.wasOnSale ? ' sale' : ''}" cx="${x(s.start)}" cy="${y(s.price)}" r="3">
+      <title>${escapeHtml(`$${s.price}${s.wasOnSale ? ' (sale)' : ''} — ${new Date(s.start).toLocaleString()}`)}</title>
+    </circle>`).join('');
+
+  const dateLabel = (t) => { const d = new Date(t); return `${d.getMonth()+1}/${d.getDate()}`; };
+  const first = steps[0];
+
+  return `
+          <svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" preserveAspectRatio="xMidYMid meet">
+            ${saleRects}
+            ${refLines}
+            <path class="chart-line" d="${getStepPath(steps, scales)}"/>
+            ${points}
+            <text class="chart-axis" x="${pad.left}" y="${height - 3}">${dateLabel(first.start)}</text>
+            <text class="chart-axis" x="${width - pad.right}" y="${height - 3}" text-anchor="end">now</text>
+          </svg>
+          <div class="chart-legend">
+            <span class="legend-min">Low $${min}</span>
+            <span class="legend-avg">Avg $${avgLabel}</span>
+            <span class="legend-max">High $${max}</span>
+            ${saleRects ? '<span class="legend-sale">Sale</span>' : ''}
+            <span>${steps.length} prices since ${dateLabel(first.start)}</span>
+          </div>`;
 }
 
 function escapeHtml(str) {
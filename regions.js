@@ -0,0 +1,1029 @@
+/**
+ * Region Adapters
+ *
+ * Every Lululemon storefront is declared once in REGION_ADAPTERS: the
+ * hosts it serves, its currency and flag, how to build a product URL, the
+ * platform behind it (Next.js for the US and Canada, Salesforce Commerce
+ * Cloud for the other stores) with that platform's page parser and
+ * collection URL format, the visible stock wording, the SFCC API site and
+ * a polite request rate. Code that used to sniff hostnames asks
+ * getRegionForUrl() instead, so adding a storefront is one adapter here
+ * plus its host in manifest.json.
+ *
+ * Loaded by the service worker (importScripts), the popup (<script>) and
+ * the content script (listed before content.js in the manifest), so this
+ * file must not touch the DOM or chrome.* APIs.
+ */
+
+// ══════════════════════════════════════════════════════════
+//  Collection sort options & filter names
+// ══════════════════════════════════════════════════════════
+
+// Known Lululemon sort options (key = URL param value, value = display label)
+// US site uses Ns param, international sites use srule param
+const SORT_OPTIONS_US = {
+  '': 'Featured',
+  'product.last_SKU_addition_dateTime|1': 'New Arrivals',
+  'RATINGS|1': 'Top Rated',
+  'price|0': 'Price: Low → High',
+  'price|1': 'Price: High → Low',
+};
+
+// International srule values by region
+const SORT_OPTIONS_HK = {
+  'HK-bestseller': 'Default (Bestseller)',
+  'Relevance': 'Relevance',
+  'HK-C-N-': 'New Arrivals',
+  'Top sellers': 'Top Sellers',
+  'Price Descending': 'Price: High → Low',
+  'Price Ascending': 'Price: Low → High',
+};
+
+const SORT_OPTIONS_AU = {
+  'aunz-standard-': 'Default',
+  'Relevance': 'Featured',
+  'Price Descending': 'Price: High → Low',
+  'Price Ascending': 'Price: Low → High',
+  'A-Z': 'A → Z',
+  'Z-A': 'Z → A',
+};
+
+// SFCC sites whose srule values we haven't catalogued
+const SORT_OPTIONS_SFCC = { ...SORT_OPTIONS_HK, ...SORT_OPTIONS_AU };
+
+// Product-line and size codes, also offered by the We Made Too Much watcher
+const PRODUCT_LINE_FILTERS = {
+  'sddx': 'ABC', '6dav': 'License To Train', 'peaw': 'Metal Vent Tech',
+  'egx7': 'Pace Breaker', 'yh99': 'Soft Jersey', 'esuu': 'Align',
+  'j8y3': 'Always Down', 'pwhl': 'Always In Motion', 'c827': 'BeCalm',
+  'k158': 'Beyondfeel', 'kg1k': 'Big Cozy', '06p9': 'Built To Move',
+  '237s': 'Chargefeel', 'wq7k': 'Cityverse', '4f60': 'Cross Chill',
+  '5g0x': 'Daydrift', '1xjq': 'Down for It All', 'xplg': 'Ease The Day',
+  '7ki0': 'EasyFive', '8utp': 'EasySet', 'n5c2': 'Engineered Warmth',
+  '3jyo': 'Everywhere', 'b4x4': 'Fast & Free', 'bsxs': 'Featherweight',
+  '2fkn': 'Fundamental', 'h4uh': 'Grand Standard', '5t96': 'Navigation Down',
+  'cjb2': 'Restfeel', '3s3c': 'Slacker', '1ok8': 'Smooth Spacer',
+  '23e2': 'Soft Stretch', 'x8f0': 'Split Shift', 'k0lg': 'Steady State',
+  'd6em': 'Textured Spacer', 'rw1e': 'Unrestricted Power', 't5t3': 'Wildfeel',
+  'm2yt': 'Wunder Puff', '6lfx': 'Zero Tucks', 'qpwg': 'Zeroed In',
+};
+
+const SIZE_FILTERS = {
+  '00in': 'XS', 'vibs': 'S', 'qstj': 'M', 'u2m1': 'L',
+  'q472': 'XL', 'o64u': 'XXL', 'x79j': 'XXXL',
+};
+
+// US filter code → human-readable name mapping
+const FILTER_NAMES = {
+  // Categories
+  'oxc7': "Men's Clothes", 'h1v9': 'Coats & Jackets', 'w1md': 'Hoodies & Sweatshirts',
+  'u9dn': 'Pants', 'f3j9': 'Shirts', 'jn1c': 'Shorts', '49w9': 'Underwear',
+  // Product Lines
+  ...PRODUCT_LINE_FILTERS,
+  // Subcategories
+  '2my0': 'Hoodies', 'sgwg': 'Athletic Shorts', 'ug19': 'Half Zip',
+  'g62m': 'Liner Shorts', 'mnkc': 'Athletic Jackets', 'x0md': 'Athletic Pants',
+  'qqnm': 'Boxers', 'ovjw': 'Briefs', 'xv48': 'Crewneck Sweatshirts',
+  'oh18': 'Pullover Sweaters', '58ei': 'Quarter Zip', '8182': 'Sweat Shorts',
+  'qcjs': 'Track Jackets', 'go1x': 'Track Pants', 'dpfg': 'Track Shorts',
+  // Sizes
+  ...SIZE_FILTERS,
+  // Inseam
+  'ldut': '3"', 'p9fe': '5"', 't5wf': '7"', 'lfne': '9"',
+  'yyug': '27"', 'u756': '28"', 'kqrx': '29"', 'jehg': '30"',
+  '7lsa': '31"', 'g23g': '32"', '4tkd': '34"',
+  // Fit
+  'ydf5': 'Tight Fit', 'oyr3': 'Slim Fit', '53ml': 'Classic Fit',
+  'o9nl': 'Relaxed Fit', 'vc9j': 'Oversized Fit',
+  // Colors
+  'c1a0': 'Black', '110v': 'White', '6lm0': 'Grey', 'vjcx': 'Brown',
+  'yr3d': 'Khaki', 'zrsk3': 'Neutral', 'sn78': 'Red', 'crj8': 'Pink',
+  'vqp4': 'Burgundy', 'lls5': 'Orange', 'flnr': 'Yellow', 'w2wh': 'Green',
+  'td6f': 'Olive', '0vt3': 'Blue', 'ea52': 'Navy', 'h084': 'Purple',
+  'pspv': 'Pastel', '5l40': 'Neon', '2bcn': 'Striped', '9u7a': 'Printed',
+  'um4i': 'Leopard Print', 'mtwv': 'Tie Dye',
+  // Activity
+  'ae4c': 'Workout', 'ynj2': 'Running', 'yk1r': 'Casual', '1m2d': 'Golf',
+  'loe8': 'Lounge', 'f38a': 'Tennis', '4anx': 'Travel', 'pofs': 'Yoga',
+  'qfse': 'Training',
+  // Fabric
+  '3wwi': 'Cotton', 'ir5y': 'Fleece', 'csjh': 'Luxtreme', 'by2w': 'Mesh',
+  'nua5': 'Ripstop', '8bdf': 'Swift',
+  // Features
+  '8avr': 'Pocketed', 'n6yq': 'Multipack', 'd7ck': 'Anti Stink',
+  '41ke': 'Drawstring', 'a1b7': 'Breathable', 'p21b': 'Lightweight',
+  'h591': 'Quick Dry', 'og7t': 'Reflective', 'd5m8': 'Seamless',
+  '7xon': 'Sun Protection', 'uoos': 'Water Repellant',
+  // Weather/Season
+  'fowa': 'Warm Weather', 'gjr2': 'Cold Weather',
+  'w6qx': 'Spring', 'mi4u': 'Summer', '9olv': 'Fall', 'inmi': 'Winter',
+};
+
+// ══════════════════════════════════════════════════════════
+//  Stock wording & currencies
+// ══════════════════════════════════════════════════════════
+
+// Visible stock messages, matched case-insensitively against page text,
+// add-to-bag buttons and SFCC availability messages. pageLowStock is
+// matched only in the rendered page (content script), not in the raw HTML,
+// where the phrase also turns up outside the visible warning.
+const US_STOCK_TEXT = {
+  lowStock: ['hurry, only a few left', 'only a few left', 'almost gone'],
+  pageLowStock: ['low stock'],
+  soldOut: ['sold out', 'out of stock', 'join waitlist'],
+};
+
+const SFCC_STOCK_TEXT = {
+  lowStock: ['only a few left', 'low stock'],
+  soldOut: ['sold out', 'out of stock', 'join waitlist'],
+};
+
+// symbol: shown next to native prices; convertedSymbol: next to converted
+// amounts, where a bare "$" would be ambiguous
+const CURRENCY_FORMATS = {
+  USD: { symbol: '$', convertedSymbol: 'US$', decimals: 2 },
+  CAD: { symbol: 'CA$', decimals: 2 },
+  HKD: { symbol: 'HK$', decimals: 2 },
+  AUD: { symbol: 'A$', decimals: 2 },
+  NZD: { symbol: 'NZ$', decimals: 2 },
+  JPY: { symbol: '¥', decimals: 0 },
+  GBP: { symbol: '£', decimals: 2 },
+  EUR: { symbol: '€', decimals: 2 },
+};
+const DEFAULT_CURRENCY_FORMAT = { symbol: '$', decimals: 2 };
+
+function includesAny(text, phrases) {
+  const lower = String(text || '').toLowerCase();
+  return phrases.some(p => lower.includes(p.toLowerCase()));
+}
+
+// ══════════════════════════════════════════════════════════
+//  Product page parsers
+//
+// Both return { currentPrice, originalPrice, onSale, stockStatus,
+// availableColors } for the tracked color/size. Next.js pages carry
+// the full SKU list in __NEXT_DATA__; SFCC pages carry a JSON-LD
+// ProductGroup with one offer per color/size variant.
+// ══════════════════════════════════════════════════════════
+
+/**
+ * Extract color code from a product URL (US or international format).
+ * US:   ?color=69702
+ * Intl: ?dwvar_prod11710026_color=069299
+ */
+function getColorCodeFromUrl(url) {
+  try {
+    const params = new URLSearchParams(new URL(url).search);
+    // US format
+    const usColor = params.get('color');
+    if (usColor) return usColor;
+    // International (SFCC) dwvar_ format
+    for (const [key, val] of params.entries()) {
+      if (key.startsWith('dwvar_') && key.endsWith('_color')) return val;
+    }
+  } catch { /* ignore */ }
+  return null;
+}
+
+// Color of products tracked in any-color mode (see applyColorAvailability)
+const ANY_COLOR = 'Any color';
+
+function emptyParseResult() {
+  return {
+    currentPrice: null,
+    originalPrice: null,
+    onSale: false,
+    stockStatus: 'in_stock',
+    availableColors: [],
+  };
+}
+
+/**
+ * Next.js storefronts: __NEXT_DATA__ SKUs, then JSON-LD if the page has
+ * no Next data, then server-rendered stock text.
+ */
+function parseNextDataProductPage(html, product, region) {
+  const result = emptyParseResult();
+
+  const nextDataMatch = html.match(
+    /<script\s+id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/
+  );
+  if (nextDataMatch) {
+    try {
+      const nextData = JSON.parse(nextDataMatch[1]);
+      const queries = nextData?.props?.pageProps?.dehydratedState?.queries || [];
+      let queryData = null;
+      for (const q of queries) {
+        const data = q?.state?.data;
+        if (data?.productSummary && data?.skus) {
+          queryData = data;
+          break;
+        }
+      }
+      if (queryData) {
+        if (queryData.productSummary?.isSoldOut) {
+          result.stockStatus = 'sold_out';
+        }
+        if (queryData.colors) {
+          result.availableColors = queryData.colors.map(c => ({
+            code: c.code,
+            name: c.name,
+          }));
+        }
+        const colorCode = product.anyColor ? null : getColorCodeFromUrl(product.url);
+        console.log(`[LuluTracker] Parsing ${product.name}: colorCode=${colorCode}, size=${product.size}`);
+
+        if (colorCode && queryData.skus && !product.sizes) {
+          const matchingSku = queryData.skus.find(s => {
+            const cMatch = s.color?.code === colorCode;
+            const sMatch = !product.size || product.size === 'Not selected' ||
+              s.size === product.size;
+            return cMatch && sMatch;
+          });
+
+          if (matchingSku) {
+            console.log(`[LuluTracker] Found SKU: available=${matchingSku.available}, onSale=${matchingSku.price?.onSale}`);
+            if (matchingSku.price) {
+              const { price, originalPrice, onSale } = getNextDataSkuPrice(matchingSku);
+              result.currentPrice = price;
+              result.originalPrice = originalPrice;
+              result.onSale = onSale;
+            }
+            if (!matchingSku.available) {
+              result.stockStatus = 'sold_out';
+            }
+          } else {
+            console.log(`[LuluTracker] No matching SKU found for color=${colorCode} size=${product.size}`);
+            if (product.size && product.size !== 'Not selected') {
+              const colorDriver = queryData.colorDriver?.find(cd => cd.color === colorCode);
+              if (colorDriver && !colorDriver.sizes.includes(product.size)) {
+                result.stockStatus = 'sold_out';
+              }
+            }
+          }
+        }
+        if (product.anyColor) {
+          applyColorAvailability(result, (queryData.colors || []).map(c => ({
+            code: c.code,
+            name: c.name,
+            ...getNextDataVariantState(queryData, c.code, product.size),
+          })));
+        } else if (product.sizes && colorCode) {
+          applySizeAvailability(result, product.sizes.map(size => ({
+            size,
+            ...getNextDataVariantState(queryData, colorCode, size),
+          })));
+        }
+        if (!result.currentPrice && queryData.skus.length > 0) {
+          result.currentPrice = parseFloat(queryData.skus[0].price?.listPrice) || null;
+        }
+      }
+    } catch (e) {
+      console.warn('[LuluTracker] Failed to parse __NEXT_DATA__:', e);
+    }
+  } else {
+    applyJsonLdProductGroup(html, product, result);
+  }
+
+  // ── Fallback: server-rendered stock text ──
+  // (describes the page's default variant, so not used for multi-variant items)
+  if (!result.colorAvailability && !result.sizeAvailability) {
+    const htmlLower = html.toLowerCase();
+    if (html.includes('pdp-inventory-low-stock-warning') ||
+        includesAny(htmlLower, region.stockText.lowStock)) {
+      if (result.stockStatus !== 'sold_out') {
+        result.stockStatus = 'low_stock';
+        console.log('[LuluTracker] Detected low stock warning (server-rendered)');
+      }
+    }
+    if (result.stockStatus !== 'sold_out' && result.stockStatus !== 'low_stock') {
+      if (region.stockText.soldOut.some(text => htmlLower.includes(`>${text}<`))) {
+        result.stockStatus = 'sold_out';
+      }
+    }
+  }
+
+  applyPriceFallback(html, result);
+  return result;
+}
+
+/**
+ * SFCC storefronts: JSON-LD ProductGroup, then the visible low-stock
+ * message and markdown-prices markup.
+ */
+function parseSfccProductPage(html, product) {
+  const result = emptyParseResult();
+  applyJsonLdProductGroup(html, product, result);
+  if (result.colorAvailability || result.sizeAvailability) {
+    applyPriceFallback(html, result);
+    return result;
+  }
+
+  if (result.stockStatus === 'in_stock') {
+    const visibleLowStock = html.match(
+      /class="stock-avail-msg[^"]*"[^>]*style="[^"]*display:\s*block[^"]*"/
+    );
+    if (visibleLowStock) {
+      result.stockStatus = 'low_stock';
+      console.log('[LuluTracker] Detected visible low stock warning (SFCC)');
+    }
+  }
+
+  // SFCC markdown-prices detection (HK/AU)
+  if (!result.onSale && html.includes('markdown-prices')) {
+    result.onSale = true;
+    console.log('[LuluTracker] SFCC markdown-prices class detected in HTML');
+    const mdPriceMatch = html.match(/class="markdown-prices"[^>]*>[\s\S]*?(?:(?:HK|A|NZ)?\$|£|€)(\d+(?:[,.]?\d+)*)/);
+    if (mdPriceMatch && !result.currentPrice) {
+      result.currentPrice = parseFloat(mdPriceMatch[1]);
+    }
+  }
+
+  applyPriceFallback(html, result);
+  return result;
+}
+
+/**
+ * Read the JSON-LD ProductGroup into `result`: colors, the tracked
+ * color/size availability and price, and a cross-color discount guess.
+ */
+function applyJsonLdProductGroup(html, product, result) {
+  const ldMatches = html.matchAll(
+    /<script[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/g
+  );
+  for (const ldMatch of ldMatches) {
+    try {
+      const ld = JSON.parse(ldMatch[1]);
+      if (ld['@type'] !== 'ProductGroup') continue;
+      console.log(`[LuluTracker] Found JSON-LD ProductGroup: ${ld.name}, ${(ld.hasVariant || []).length} variants`);
+
+      const variants = ld.hasVariant || [];
+
+      const colorMap = new Map();
+      for (const v of variants) {
+        if (v.color && !colorMap.has(v.color)) {
+          colorMap.set(v.color, { code: v.color, name: v.color });
+        }
+      }
+      result.availableColors = [...colorMap.values()];
+
+      if (product.anyColor) {
+        const maxPrice = getJsonLdMaxPrice(variants);
+        applyColorAvailability(result, result.availableColors.map(c => ({
+          code: c.code,
+          name: c.name,
+          ...getJsonLdVariantState(variants, c.name, product.size, maxPrice),
+        })));
+        break;
+      }
+      if (product.sizes) {
+        const maxPrice = getJsonLdMaxPrice(variants);
+        applySizeAvailability(result, product.sizes.map(size => ({
+          size,
+          ...getJsonLdVariantState(variants, product.color, size, maxPrice),
+        })));
+        break;
+      }
+
+      const colorName = product.color;
+      const colorVariants = colorName
+        ? variants.filter(v => v.color === colorName) : [];
+      console.log(`[LuluTracker] SFCC matching color="${colorName}": ${colorVariants.length} variants`);
+
+      if (colorVariants.length > 0) {
+        const price = parseFloat(colorVariants[0].offers?.price);
+        if (price > 0) result.currentPrice = price;
+
+        if (product.size && product.size !== 'Not selected') {
+          const sizeMatch = colorVariants.find(v => v.size === product.size);
+          if (sizeMatch) {
+            const avail = sizeMatch.offers?.availability || '';
+            if (avail.includes('OutOfStock')) {
+              result.stockStatus = 'sold_out';
+            }
+          }
+        }
+
+        const allOut = colorVariants.every(v =>
+          (v.offers?.availability || '').includes('OutOfStock')
+        );
+        if (allOut) result.stockStatus = 'sold_out';
+      }
+
+      // SFCC discount detection (HK/AU) — compare against other colors' prices
+      const otherColorPrices = variants
+        .filter(v => v.color !== colorName)
+        .map(v => parseFloat(v.offers?.price))
+        .filter(p => p > 0);
+      if (otherColorPrices.length > 0 && result.currentPrice) {
+        const maxOtherPrice = Math.max(...otherColorPrices);
+        if (result.currentPrice < maxOtherPrice) {
+          result.onSale = true;
+          result.originalPrice = maxOtherPrice;
+          console.log(`[LuluTracker] SFCC discount detected: $${result.currentPrice} (was $${maxOtherPrice})`);
+        }
+      }
+      break;
+    } catch (e) {
+      console.warn('[LuluTracker] Failed to parse JSON-LD:', e);
+    }
+  }
+}
+
+/**
+ * { price, originalPrice, onSale } of a __NEXT_DATA__ SKU.
+ */
+function getNextDataSkuPrice(sku) {
+  const listPrice = parseFloat(sku.price?.listPrice) || null;
+  const salePrice = sku.price?.salePrice ? parseFloat(sku.price.salePrice) : null;
+  if (salePrice && listPrice && salePrice < listPrice) {
+    return { price: salePrice, originalPrice: listPrice, onSale: true };
+  }
+  return { price: listPrice, originalPrice: null, onSale: false };
+}
+
+// ── Multi-variant items ──
+// Products tracked with anyColor watch one size across every color;
+// products with a `sizes` array watch several sizes of one color.
+// Parsers then fill result.colorAvailability / result.sizeAvailability
+// with one { stockStatus, price, originalPrice, onSale } entry per
+// color ({ code, name, ... }) or size ({ size, ... }), and the
+// product-level fields summarize it: in stock if any entry is, priced
+// at the cheapest available one.
+
+function isAnySize(size) {
+  return !size || size === 'Not selected';
+}
+
+/**
+ * Sizes a product watches: its `sizes` array, else its single size
+ * (none when no size was selected).
+ */
+function getTrackedSizes(product) {
+  if (product.sizes) return product.sizes;
+  return isAnySize(product.size) ? [] : [product.size];
+}
+
+/**
+ * State of one color/size on a __NEXT_DATA__ page.
+ */
+function getNextDataVariantState(queryData, colorCode, size) {
+  const skus = queryData.skus.filter(s =>
+    s.color?.code === colorCode && (isAnySize(size) || s.size === size)
+  );
+  const sku = skus.find(s => s.available) || skus[0];
+  let stockStatus;
+  if (sku) {
+    stockStatus = sku.available ? 'in_stock' : 'sold_out';
+  } else {
+    // No SKU listed — colorDriver tells whether the size exists in this color
+    const colorDriver = queryData.colorDriver?.find(cd => cd.color === colorCode);
+    stockStatus = !isAnySize(size) && colorDriver?.sizes?.includes(size) ? 'in_stock' : 'sold_out';
+  }
+  const { price, originalPrice, onSale } = sku
+    ? getNextDataSkuPrice(sku) : { price: null, originalPrice: null, onSale: false };
+  return { stockStatus, price, originalPrice, onSale };
+}
+
+/**
+ * State of one color/size among JSON-LD variants. `maxPrice` (the highest
+ * price across colors) drives the same cross-color markdown guess as
+ * single-variant tracking.
+ */
+function getJsonLdVariantState(variants, colorName, size, maxPrice) {
+  const matches = variants.filter(v =>
+    v.color === colorName && (isAnySize(size) || v.size === size)
+  );
+  const inStock = matches.find(v => !(v.offers?.availability || '').includes('OutOfStock'));
+  const price = parseFloat((inStock || matches[0])?.offers?.price) || null;
+  const onSale = !!(price && maxPrice && price < maxPrice);
+  return {
+    stockStatus: inStock ? 'in_stock' : 'sold_out',
+    price,
+    originalPrice: onSale ? maxPrice : null,
+    onSale,
+  };
+}
+
+function getJsonLdMaxPrice(variants) {
+  const prices = variants.map(v => parseFloat(v.offers?.price)).filter(p => p > 0);
+  return prices.length > 0 ? Math.max(...prices) : null;
+}
+
+function applyColorAvailability(result, colors) {
+  result.colorAvailability = colors;
+  summarizeVariantStates(result, colors);
+}
+
+function applySizeAvailability(result, sizes) {
+  result.sizeAvailability = sizes;
+  summarizeVariantStates(result, sizes);
+}
+
+function summarizeVariantStates(result, entries) {
+  const available = entries.filter(e => e.stockStatus !== 'sold_out');
+  if (available.some(e => e.stockStatus === 'in_stock')) result.stockStatus = 'in_stock';
+  else result.stockStatus = available.length > 0 ? 'low_stock' : 'sold_out';
+
+  const priced = (available.length > 0 ? available : entries).filter(e => e.price);
+  const cheapest = priced.reduce((min, e) => (!min || e.price < min.price ? e : min), null);
+  result.currentPrice = cheapest ? cheapest.price : null;
+  result.originalPrice = cheapest?.onSale ? cheapest.originalPrice : null;
+  result.onSale = !!cheapest?.onSale;
+}
+
+function applyPriceFallback(html, result) {
+  if (result.currentPrice) return;
+  const priceMatch = html.match(
+    /data-lll-pl="price"[^>]*>.*?(?:(?:HK|A|NZ|CA|NT)?\$|£|€)(\d+(?:[,.]?\d+)*)/s
+  ) || html.match(
+    /class="[^"]*price[^"]*"[^>]*>.*?(?:(?:HK|A|NZ|CA|NT)?\$|£|€)(\d+(?:[,.]?\d+)*)/s
+  );
+  if (priceMatch) result.currentPrice = parseFloat(priceMatch[1]);
+}
+
+// ══════════════════════════════════════════════════════════
+//  Collection URL formats
+//
+// Next.js (format 'us'):
+//   https://shop.lululemon.com/c/men-clothes/n1{code1}z{code2}?Ns=sort
+//   https://shop.lululemon.com/en-ca/c/men-clothes/n1{code1}?Ns=sort
+//   → filterCodes: ['oxc7', 'peaw'], sort via Ns param
+//
+// SFCC (format 'intl'):
+//   https://www.lululemon.com.hk/en-hk/c/men?prefn1=collection&prefv1=Metal+Vent+Tech|Pace+Breaker&srule=HK-C-N-
+//   → filterNames: ['Metal Vent Tech', 'Pace Breaker'], sort via srule param
+// ══════════════════════════════════════════════════════════
+
+function parseNextDataCollectionUrl(u, fullUrl, region) {
+  // Match [/en-ca]/c/{category}/n1{codes}
+  const pathMatch = u.pathname.match(/^((?:\/[a-z]{2}-[a-z]{2})?\/c\/[^/]+\/)n1(.+)$/);
+  if (pathMatch) {
+    return {
+      format: 'us',
+      region: region.id,
+      basePath: pathMatch[1],
+      filterCodes: pathMatch[2].split('z').filter(Boolean),
+      filterNames: [], // resolved via FILTER_NAMES lookup
+      sort: u.searchParams.get('Ns') || '',
+      sortType: 'Ns',
+      fullUrl,
+      extraParams: {},
+    };
+  }
+  // [/en-ca]/c/{category} without filter codes
+  const simpleMatch = u.pathname.match(/^((?:\/[a-z]{2}-[a-z]{2})?\/c\/[^/]+)\/?$/);
+  if (simpleMatch) {
+    return {
+      format: 'us',
+      region: region.id,
+      basePath: simpleMatch[1] + '/',
+      filterCodes: [],
+      filterNames: [],
+      sort: u.searchParams.get('Ns') || '',
+      sortType: 'Ns',
+      fullUrl,
+      extraParams: {},
+    };
+  }
+  return null;
+}
+
+function parseSfccCollectionUrl(u, fullUrl, region) {
+  // Extract the category path: /en-hk/c/men  or  /en-au/c/men  or  /zh-tw/c/men
+  const pathMatch = u.pathname.match(/^(\/[^/]+\/c\/[^/?]+)\/?$/);
+  const basePath = pathMatch ? pathMatch[1] : u.pathname;
+
+  // Filters: prefn1=collection, prefv1=A|B|C  (pipe-separated, URL-encoded)
+  const prefv1 = u.searchParams.get('prefv1') || '';
+  const filterNames = prefv1
+    ? prefv1.split('|').map(f => f.trim()).filter(Boolean)
+    : [];
+
+  // Sort rule
+  const srule = u.searchParams.get('srule') || '';
+
+  // Preserve other params (like pmid, prefn1, etc.)
+  const extraParams = {};
+  for (const [key, val] of u.searchParams.entries()) {
+    if (!['prefv1', 'srule'].includes(key)) {
+      extraParams[key] = val;
+    }
+  }
+
+  return {
+    format: 'intl',
+    region: region.id,
+    basePath,
+    filterCodes: [], // international doesn't use codes
+    filterNames,
+    sort: srule,
+    sortType: 'srule',
+    fullUrl,
+    extraParams,
+  };
+}
+
+function buildNextDataCollectionUrl(parsed, activeCodes, region) {
+  let url = `${region.origin}${parsed.basePath}`;
+  if (activeCodes.length > 0) {
+    url += `n1${activeCodes.join('z')}`;
+  }
+  if (parsed.sort) url += `?Ns=${encodeURIComponent(parsed.sort)}`;
+  return url;
+}
+
+function buildSfccCollectionUrl(parsed, activeNames) {
+  const baseUrl = parsed.fullUrl || parsed.url;
+  if (!baseUrl) return '';
+  const u = new URL(baseUrl);
+
+  // Rebuild with only active filters
+  if (activeNames.length > 0) {
+    u.searchParams.set('prefv1', activeNames.join('|'));
+  } else {
+    u.searchParams.delete('prefv1');
+    u.searchParams.delete('prefn1');
+  }
+
+  // Update srule if changed
+  if (parsed.sort) {
+    u.searchParams.set('srule', parsed.sort);
+  } else {
+    u.searchParams.delete('srule');
+  }
+
+  // searchParams.set() encodes spaces as '+' which is what Lululemon expects
+  return u.toString();
+}
+
+// ══════════════════════════════════════════════════════════
+//  Collection pages
+//
+// parseCollectionPage(html, region, pageUrl) lists the product tiles
+// of a fetched collection page (first page only) for collection
+// monitoring: [{ productId, name, url, price, originalPrice,
+// colors: [{ code, name }] }].
+//
+// Next.js: product objects in __NEXT_DATA__ (productId + displayName,
+//   with pdpUrl and swatches); falls back to /p/.../_/prodNNN links.
+// SFCC: grid tiles carrying data-pid, with the product link, the
+//   swatches' data-attr-value and the tile's price.
+// ══════════════════════════════════════════════════════════
+
+function parseNextDataCollectionPage(html, region, pageUrl) {
+  const tiles = new Map();
+  const localePrefix = new URL(pageUrl).pathname.match(/^\/[a-z]{2}-[a-z]{2}(?=\/)/)?.[0] || '';
+  const toUrl = (path) => {
+    const localized = localePrefix && !path.startsWith(localePrefix) ? localePrefix + path : path;
+    return new URL(localized, region.origin).toString();
+  };
+
+  const nextDataMatch = html.match(
+    /<script\s+id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/
+  );
+  if (nextDataMatch) {
+    try {
+      findJsonNodes(JSON.parse(nextDataMatch[1]), node =>
+        typeof node.productId === 'string' && typeof node.displayName === 'string'
+      ).forEach(node => {
+        if (tiles.has(node.productId)) return;
+        const swatches = node.swatches || node.skuStyleOrder || [];
+        const listPrice = firstPrice(node.listPrice) || firstPrice(node.price);
+        const salePrice = firstPrice(node.productSalePrice);
+        tiles.set(node.productId, {
+          productId: node.productId,
+          name: node.displayName,
+          url: node.pdpUrl ? toUrl(node.pdpUrl) : null,
+          price: salePrice || listPrice,
+          originalPrice: salePrice && listPrice > salePrice ? listPrice : null,
+          colors: swatches
+            .map(sw => ({ code: sw.colorId, name: sw.swatchAlt || sw.colorName || sw.colorId }))
+            .filter(c => c.code),
+        });
+      });
+    } catch (e) {
+      console.warn('[LuluTracker] Failed to parse collection __NEXT_DATA__:', e);
+    }
+  }
+
+  if (tiles.size === 0) {
+    for (const m of html.matchAll(/href="((?:\/[a-z]{2}-[a-z]{2})?\/p\/[^"]*?\/([^/"]+)\/_\/(prod\d+)[^"]*)"/g)) {
+      const [, path, slug, productId] = m;
+      if (tiles.has(productId)) continue;
+      tiles.set(productId, {
+        productId,
+        name: decodeURIComponent(slug).replace(/-/g, ' '),
+        url: toUrl(path.replace(/&amp;/g, '&')),
+        price: null,
+        originalPrice: null,
+        colors: [],
+      });
+    }
+  }
+  return [...tiles.values()];
+}
+
+function parseSfccCollectionPage(html, region, pageUrl) {
+  const tiles = new Map();
+  // Each chunk runs from one data-pid to the next; repeated pids (quick-add
+  // buttons inside a tile) merge into the same entry
+  const chunks = html.split(/(?=\bdata-pid=")/).slice(1);
+  for (const chunk of chunks) {
+    const productId = chunk.match(/^data-pid="([^"]+)"/)?.[1];
+    if (!productId) continue;
+    const tile = tiles.get(productId) ||
+      { productId, name: null, url: null, price: null, originalPrice: null, colors: [] };
+
+    if (!tile.url) {
+      const href = chunk.match(/href="([^"]*\/p\/[^"]*?\.html[^"]*)"/)?.[1];
+      if (href) tile.url = new URL(href.replace(/&amp;/g, '&'), pageUrl).toString();
+    }
+    if (!tile.name) {
+      const name = chunk.match(/data-product-name="([^"]+)"/)?.[1] ||
+        chunk.match(/class="[^"]*\b(?:pdp-link|link|product-name)\b[^"]*"[^>]*>\s*([^<]+?)\s*</)?.[1];
+      if (name) tile.name = decodeHtmlEntities(name);
+    }
+    if (!tile.price) {
+      const priceMatch = chunk.match(/class="[^"]*\b(?:sales|value|price)\b[^"]*"[^>]*>[^<]*?(?:(?:HK|A|NZ|CA|NT)?\$|£|€|¥)\s*(\d+(?:[,.]\d+)*)/);
+      if (priceMatch) tile.price = parseFloat(priceMatch[1].replace(/,/g, '')) || null;
+    }
+    for (const tag of chunk.matchAll(/<[^>]*\bdata-attr-value="([^"]+)"[^>]*>/g)) {
+      const code = tag[1];
+      if (tile.colors.some(c => c.code === code)) continue;
+      const name = tag[0].match(/\b(?:data-color-title|title|aria-label)="([^"]+)"/)?.[1];
+      tile.colors.push({ code, name: name ? decodeHtmlEntities(name) : code });
+    }
+    tiles.set(productId, tile);
+  }
+  return [...tiles.values()].filter(t => t.name || t.url);
+}
+
+// Tile prices come as a number, a string or a [min, max] range
+function firstPrice(value) {
+  return parseFloat(Array.isArray(value) ? value[0] : value) || null;
+}
+
+/**
+ * Every object in a parsed JSON tree matching `predicate` (not descending
+ * into matches).
+ */
+function findJsonNodes(root, predicate, depth = 0) {
+  if (!root || typeof root !== 'object' || depth > 40) return [];
+  if (!Array.isArray(root) && predicate(root)) return [root];
+  return Object.values(root).flatMap(v => findJsonNodes(v, predicate, depth + 1));
+}
+
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;|&#x27;/g, "'")
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').trim();
+}
+
+// ══════════════════════════════════════════════════════════
+//  Registry
+// ══════════════════════════════════════════════════════════
+
+const DEFAULT_RATE_LIMIT = { concurrency: 1, minGapMs: 2500 };
+
+const NEXTJS_PLATFORM = {
+  platform: 'nextjs',
+  parseProductPage: parseNextDataProductPage,
+  parseCollectionUrl: parseNextDataCollectionUrl,
+  buildCollectionUrl: buildNextDataCollectionUrl,
+  parseCollectionPage: parseNextDataCollectionPage,
+};
+
+const SFCC_PLATFORM = {
+  platform: 'sfcc',
+  parseProductPage: parseSfccProductPage,
+  parseCollectionUrl: parseSfccCollectionUrl,
+  buildCollectionUrl: buildSfccCollectionUrl,
+  parseCollectionPage: parseSfccCollectionPage,
+};
+
+// Key order is the display order of the price comparison row.
+// pathPrefixes: adapters sharing a host with another store (CA on the US
+// host) claim only URLs under these paths.
+// markdownPath: base path of the We Made Too Much listing (Next.js stores).
+// markdownCategory: cgid of the regional sale category (SFCC stores), searched
+// when a tracked color sells out to see whether it moved to markdown. Not
+// known yet for NZ, UK and EU, so markdown moves go undetected there.
+const REGION_ADAPTERS = {
+  us: {
+    ...NEXTJS_PLATFORM,
+    id: 'us',
+    label: 'US',
+    flag: '\u{1F1FA}\u{1F1F8}',
+    currency: 'USD',
+    locale: 'en-US',
+    origin: 'https://shop.lululemon.com',
+    hosts: ['shop.lululemon.com'],
+    productUrl: (pid) => `https://shop.lululemon.com/p/_/_/${pid}`,
+    markdownPath: '/c/we-made-too-much/',
+    sortOptions: SORT_OPTIONS_US,
+    stockText: US_STOCK_TEXT,
+    sfccApi: null,
+    rateLimit: { concurrency: 2, minGapMs: 1500 },
+  },
+  ca: {
+    ...NEXTJS_PLATFORM,
+    id: 'ca',
+    label: 'CA',
+    flag: '\u{1F1E8}\u{1F1E6}',
+    currency: 'CAD',
+    locale: 'en-CA',
+    origin: 'https://shop.lululemon.com',
+    hosts: ['shop.lululemon.com'],
+    pathPrefixes: ['/en-ca', '/fr-ca'],
+    productUrl: (pid) => `https://shop.lululemon.com/en-ca/p/_/_/${pid}`,
+    markdownPath: '/en-ca/c/we-made-too-much/',
+    sortOptions: SORT_OPTIONS_US,
+    stockText: {
+      lowStock: [...US_STOCK_TEXT.lowStock, 'plus que quelques'],
+      pageLowStock: US_STOCK_TEXT.pageLowStock,
+      soldOut: [...US_STOCK_TEXT.soldOut, 'épuisé'],
+    },
+    sfccApi: null,
+    rateLimit: { concurrency: 2, minGapMs: 1500 },
+  },
+  hk: {
+    ...SFCC_PLATFORM,
+    id: 'hk',
+    label: 'HK',
+    flag: '\u{1F1ED}\u{1F1F0}',
+    currency: 'HKD',
+    locale: 'en-HK',
+    origin: 'https://www.lululemon.com.hk',
+    hosts: ['www.lululemon.com.hk'],
+    productUrl: (pid) => `https://www.lululemon.com.hk/en-hk/p/_/${pid}.html`,
+    markdownCategory: 'we-made-too-much',
+    sortOptions: SORT_OPTIONS_HK,
+    stockText: {
+      lowStock: [...SFCC_STOCK_TEXT.lowStock, '只剩幾件', '僅剩少量'],
+      soldOut: [...SFCC_STOCK_TEXT.soldOut, '已售罄', '缺貨'],
+    },
+    sfccApi: { site: 'Sites-HK-Site', locale: 'en_HK' },
+    rateLimit: DEFAULT_RATE_LIMIT,
+  },
+  au: {
+    ...SFCC_PLATFORM,
+    id: 'au',
+    label: 'AU',
+    flag: '\u{1F1E6}\u{1F1FA}',
+    currency: 'AUD',
+    locale: 'en-AU',
+    origin: 'https://www.lululemon.com.au',
+    hosts: ['www.lululemon.com.au'],
+    productUrl: (pid) => `https://www.lululemon.com.au/en-au/p/_/${pid}.html`,
+    markdownCategory: 'we-made-too-much',
+    sortOptions: SORT_OPTIONS_AU,
+    stockText: SFCC_STOCK_TEXT,
+    sfccApi: { site: 'Sites-AU-Site', locale: 'en_AU' },
+    rateLimit: DEFAULT_RATE_LIMIT,
+  },
+  nz: {
+    ...SFCC_PLATFORM,
+    id: 'nz',
+    label: 'NZ',
+    flag: '\u{1F1F3}\u{1F1FF}',
+    currency: 'NZD',
+    locale: 'en-NZ',
+    origin: 'https://www.lululemon.co.nz',
+    hosts: ['www.lululemon.co.nz'],
+    productUrl: (pid) => `https://www.lululemon.co.nz/en-nz/p/_/${pid}.html`,
+    sortOptions: SORT_OPTIONS_AU,
+    stockText: SFCC_STOCK_TEXT,
+    sfccApi: { site: 'Sites-NZ-Site', locale: 'en_NZ' },
+    rateLimit: DEFAULT_RATE_LIMIT,
+  },
+  jp: {
+    ...SFCC_PLATFORM,
+    id: 'jp',
+    label: 'JP',
+    flag: '\u{1F1EF}\u{1F1F5}',
+    currency: 'JPY',
+    locale: 'ja-JP',
+    origin: 'https://www.lululemon.co.jp',
+    hosts: ['www.lululemon.co.jp'],
+    productUrl: (pid) => `https://www.lululemon.co.jp/ja-jp/p/_/${pid}.html`,
+    markdownCategory: 'we-made-too-much',
+    sortOptions: SORT_OPTIONS_SFCC,
+    stockText: {
+      lowStock: [...SFCC_STOCK_TEXT.lowStock, '残りわずか'],
+      soldOut: SFCC_STOCK_TEXT.soldOut,
+    },
+    sfccApi: { site: 'Sites-JP-Site', locale: 'ja_JP' },
+    rateLimit: DEFAULT_RATE_LIMIT,
+  },
+  uk: {
+    ...SFCC_PLATFORM,
+    id: 'uk',
+    label: 'UK',
+    flag: '\u{1F1EC}\u{1F1E7}',
+    currency: 'GBP',
+    locale: 'en-GB',
+    origin: 'https://www.lululemon.co.uk',
+    hosts: ['www.lululemon.co.uk'],
+    productUrl: (pid) => `https://www.lululemon.co.uk/en-gb/p/_/${pid}.html`,
+    sortOptions: SORT_OPTIONS_SFCC,
+    stockText: SFCC_STOCK_TEXT,
+    sfccApi: { site: 'Sites-UK-Site', locale: 'en_GB' },
+    rateLimit: DEFAULT_RATE_LIMIT,
+  },
+  eu: {
+    // One host serves the EU country storefronts under locale paths
+    // (/en-lu, /de-de, /fr-fr, ...), all priced in EUR
+    ...SFCC_PLATFORM,
+    id: 'eu',
+    label: 'EU',
+    flag: '\u{1F1EA}\u{1F1FA}',
+    currency: 'EUR',
+    locale: 'en-LU',
+    origin: 'https://eu.lululemon.com',
+    hosts: ['eu.lululemon.com'],
+    productUrl: (pid) => `https://eu.lululemon.com/en-lu/p/_/${pid}.html`,
+    sortOptions: SORT_OPTIONS_SFCC,
+    stockText: {
+      lowStock: [...SFCC_STOCK_TEXT.lowStock, 'nur noch wenige', 'plus que quelques'],
+      soldOut: [...SFCC_STOCK_TEXT.soldOut, 'ausverkauft', 'épuisé'],
+    },
+    sfccApi: { site: 'Sites-EU-Site', locale: 'en_LU' },
+    rateLimit: DEFAULT_RATE_LIMIT,
+  },
+};
+
+const REGION_ORDER = Object.keys(REGION_ADAPTERS);
+
+// Any other Lululemon host (e.g. a storefront without an adapter yet) is
+// treated as a generic SFCC site: parsed, but never API-checked or compared.
+const OTHER_LULU_REGION = {
+  ...SFCC_PLATFORM,
+  id: 'other',
+  label: 'INTL',
+  flag: '',
+  currency: null,
+  locale: null,
+  origin: null,
+  hosts: [],
+  productUrl: null,
+  sortOptions: SORT_OPTIONS_SFCC,
+  stockText: SFCC_STOCK_TEXT,
+  sfccApi: null,
+  rateLimit: DEFAULT_RATE_LIMIT,
+};
+
+function getRegionAdapter(id) {
+  return REGION_ADAPTERS[id] || null;
+}
+
+function isLululemonHost(host) {
+  return /(^|\.)lululemon\.(com|co)(\.[a-z]{2})?$/.test(host);
+}
+
+/**
+ * Find the adapter for a URL. An adapter with pathPrefixes wins over one
+ * without on the same host. Unlisted Lululemon hosts get
+ * OTHER_LULU_REGION; anything else returns null.
+ */
+function getRegionForUrl(url) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  const candidates = Object.values(REGION_ADAPTERS).filter(a => a.hosts.includes(u.hostname));
+  const byPath = candidates.find(a => a.pathPrefixes?.some(prefix =>
+    u.pathname === prefix || u.pathname.startsWith(`${prefix}/`)
+  ));
+  const adapter = byPath || candidates.find(a => !a.pathPrefixes);
+  if (adapter) return adapter;
+  return isLululemonHost(u.hostname) ? OTHER_LULU_REGION : null;
+}
+
+/**
+ * Whether a sold-out color of this store can be followed into markdown
+ * (moved_to_markdown): Next.js stores, and SFCC stores with a markdownCategory.
+ */
+function supportsMarkdownTransition(region) {
+  return region?.platform === 'nextjs' || Boolean(region?.sfccApi && region.markdownCategory);
+}
+
+/**
+ * SFCC API locale for a product URL: the page's own locale path
+ * (/zh-hk/... → zh_HK, /de-de/... → de_DE) so attribute names match what
+ * was scraped from it, else the store's default.
+ */
+function getSfccLocale(region, url) {
+  const match = url && url.match(/^https?:\/\/[^/]+\/([a-z]{2})-([a-z]{2})\//i);
+  if (match) return `${match[1].toLowerCase()}_${match[2].toUpperCase()}`;
+  return region.sfccApi.locale;
+}
+
+/**
+ * Currencies of all storefronts, in region order (for currency pickers).
+ */
+function getRegionCurrencies() {
+  return [...new Set(REGION_ORDER.map(id => REGION_ADAPTERS[id].currency))];
+}
+
+function getCurrencyFormat(currency) {
+  return CURRENCY_FORMATS[currency] || DEFAULT_CURRENCY_FORMAT;
+}
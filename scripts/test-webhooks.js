@@ -0,0 +1,232 @@
+// Webhook delivery check — run with `node scripts/test-webhooks.js` (Node 18+).
+//
+// Loads the service worker (background.js and the scripts it imports) with
+// an in-memory stand-in for the chrome.* APIs, points one webhook of each
+// format at a local HTTP server and checks what arrives: each format's
+// payload, that a webhook only gets the alert types it asked for, then the
+// retry queue (backoff, delivery once the server is back, dropping after
+// WEBHOOK_MAX_ATTEMPTS or when the webhook is gone).
+// Nothing is sent outside 127.0.0.1.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// ── Local receiver ───────────────────────────────────────
+
+function startReceiver() {
+  const received = [];
+  const receiver = { received, failing: false };
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, path: req.url, type: req.headers['content-type'], body: JSON.parse(data) });
+      res.writeHead(receiver.failing && req.url.startsWith('/fail') ? 503 : 200);
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      receiver.base = `http://127.0.0.1:${server.address().port}`;
+      receiver.close = () => server.close();
+      resolve(receiver);
+    });
+  });
+}
+
+// ── Service worker with in-memory chrome.* ───────────────
+
+function loadWorker() {
+  const store = {};
+  const event = () => ({ addListener() {} });
+  const storageArea = (data) => ({
+    async get(keys) {
+      const copy = JSON.parse(JSON.stringify(data));
+      if (keys == null) return copy;
+      return Object.fromEntries([].concat(keys).filter(key => key in copy).map(key => [key, copy[key]]));
+    },
+    async set(items) { Object.assign(data, JSON.parse(JSON.stringify(items))); },
+    async remove(keys) { for (const key of [].concat(keys)) delete data[key]; },
+  });
+  const chrome = {
+    runtime: { onInstalled: event(), onStartup: event(), onMessage: event(), getURL: (file) => file },
+    storage: { local: storageArea(store), sync: storageArea({}), onChanged: event() },
+    alarms: { async create() {}, async get() {}, async clear() { return true; }, onAlarm: event() },
+    action: { setBadgeText() {}, setBadgeBackgroundColor() {} },
+    notifications: { async create() {}, clear() {}, onClicked: event(), onButtonClicked: event(), onClosed: event() },
+    tabs: { async create() {} },
+  };
+  const context = vm.createContext({
+    chrome, fetch, AbortController, URL, URLSearchParams, setTimeout, clearTimeout,
+    console: { log() {}, warn() {}, error: console.error },
+  });
+  const run = (file) => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  context.importScripts = (...files) => files.forEach(run);
+  run('background.js');
+  return { store, call: (code) => vm.runInContext(code, context) };
+}
+
+// ── Checks ───────────────────────────────────────────────
+
+const NOTIFICATION = {
+  id: 'lulu-test',
+  type: 'price_change',
+  title: '💰 Price Drop!',
+  message: 'Align High-Rise Pant 25" — Black\n$98 → $69',
+  url: 'https://shop.lululemon.com/p/women-pants/Align-Pant-2/_/prod2020012',
+  iconUrl: 'https://images.lululemon.com/is/image/lululemon/LW5CTIS_0001_1',
+};
+
+async function checkFormats(worker, receiver) {
+  const webhooks = [
+    { id: 'discord', format: 'discord', url: `${receiver.base}/api/webhooks/1/abc` },
+    { id: 'slack', format: 'slack', url: `${receiver.base}/services/T0/B0/xyz` },
+    { id: 'ntfy', format: 'ntfy', url: `${receiver.base}/lulu-alerts` },
+    { id: 'ntfy-slash', format: 'ntfy', url: `${receiver.base}/ntfy/lulu-alerts/?auth=t0k3n` },
+    { id: 'json', format: 'json', url: `${receiver.base}/hook` },
+  ];
+  for (const webhook of webhooks) {
+    await worker.call(`sendWebhook(${JSON.stringify(webhook)}, ${JSON.stringify(NOTIFICATION)})`);
+  }
+  const [discord, slack, ntfy, ntfySlash, json] = receiver.received.splice(0);
+
+  for (const request of [discord, slack, ntfy, ntfySlash, json]) {
+    assert.equal(request.method, 'POST');
+    assert.equal(request.type, 'application/json');
+  }
+
+  assert.equal(discord.path, '/api/webhooks/1/abc');
+  assert.deepEqual(discord.body, {
+    username: 'LuluTracker',
+    embeds: [{
+      title: NOTIFICATION.title,
+      description: NOTIFICATION.message,
+      url: NOTIFICATION.url,
+      thumbnail: { url: NOTIFICATION.iconUrl },
+    }],
+  });
+
+  assert.equal(slack.path, '/services/T0/B0/xyz');
+  assert.deepEqual(slack.body, { text: `*${NOTIFICATION.title}*\n${NOTIFICATION.message}\n<${NOTIFICATION.url}|Open>` });
+
+  const ntfyBody = {
+    topic: 'lulu-alerts',
+    title: NOTIFICATION.title,
+    message: NOTIFICATION.message,
+    click: NOTIFICATION.url,
+    icon: NOTIFICATION.iconUrl,
+  };
+  assert.equal(ntfy.path, '/');
+  assert.deepEqual(ntfy.body, ntfyBody);
+  // Server under a path, trailing slash, access token in the query
+  assert.equal(ntfySlash.path, '/ntfy/?auth=t0k3n');
+  assert.deepEqual(ntfySlash.body, ntfyBody);
+
+  assert.equal(json.path, '/hook');
+  const { date, ...jsonBody } = json.body;
+  assert.deepEqual(jsonBody, {
+    source: 'lulutracker',
+    type: NOTIFICATION.type,
+    title: NOTIFICATION.title,
+    message: NOTIFICATION.message,
+    url: NOTIFICATION.url,
+    image: NOTIFICATION.iconUrl,
+  });
+  assert.ok(!Number.isNaN(Date.parse(date)));
+
+  // Only web URLs are passed on as images
+  await worker.call(`sendWebhook(${JSON.stringify(webhooks[4])}, ${JSON.stringify({ ...NOTIFICATION, iconUrl: 'icons/icon128.png' })})`);
+  assert.equal(receiver.received.splice(0)[0].body.image, null);
+}
+
+async function checkTypeFilter(worker, receiver) {
+  const webhook = (id, types) => ({ id, format: 'json', url: `${receiver.base}/${id}`, enabled: true, types });
+  await worker.call(`saveSettings({ webhooks: ${JSON.stringify([
+    webhook('all', []),
+    webhook('price', ['price_change', 'target_reached']),
+    webhook('stock', ['status_change']),
+  ])} })`);
+  // No web image, so the desktop channel doesn't download one
+  await worker.call(`sendToChannels(${JSON.stringify({ ...NOTIFICATION, iconUrl: null })})`);
+  assert.deepEqual(receiver.received.splice(0).map(request => request.path).sort(), ['/all', '/price']);
+}
+
+async function checkRetryQueue(worker, receiver) {
+  const webhook = { id: 'flaky', format: 'json', url: `${receiver.base}/fail`, enabled: true, types: [] };
+  await worker.call(`saveSettings({ webhooks: [${JSON.stringify(webhook)}] })`);
+  const retryBaseMs = worker.call('WEBHOOK_RETRY_BASE_MS');
+  const maxAttempts = worker.call('WEBHOOK_MAX_ATTEMPTS');
+  const queue = () => worker.store.webhookQueue || [];
+  const makeDue = () => { for (const entry of queue()) entry.nextAttemptAt = Date.now() - 1; };
+  const retry = () => worker.call('retryWebhookQueue()');
+
+  // A failed delivery is queued, not retried before it is due
+  receiver.failing = true;
+  let before = Date.now();
+  await worker.call(`sendWebhook(${JSON.stringify(webhook)}, ${JSON.stringify(NOTIFICATION)})`);
+  assert.equal(queue().length, 1);
+  assert.equal(queue()[0].attempts, 1);
+  assert.equal(queue()[0].lastError, 'HTTP 503');
+  assert.ok(queue()[0].nextAttemptAt >= before + retryBaseMs);
+  const firstBody = receiver.received[0].body;
+  receiver.received.length = 0;
+  await retry();
+  assert.equal(receiver.received.length, 0);
+
+  // Due and still failing: the wait doubles
+  makeDue();
+  before = Date.now();
+  await retry();
+  assert.equal(receiver.received.length, 1);
+  assert.equal(queue()[0].attempts, 2);
+  assert.ok(queue()[0].nextAttemptAt >= before + retryBaseMs * 2);
+
+  // Server back: the same payload is delivered and the queue empties
+  receiver.failing = false;
+  receiver.received.length = 0;
+  makeDue();
+  await retry();
+  assert.equal(queue().length, 0);
+  assert.deepEqual(receiver.received[0].body, firstBody);
+
+  // Dropped after the last attempt
+  receiver.failing = true;
+  await worker.call(`sendWebhook(${JSON.stringify(webhook)}, ${JSON.stringify(NOTIFICATION)})`);
+  for (let attempt = 2; attempt <= maxAttempts; attempt++) {
+    makeDue();
+    await retry();
+  }
+  assert.equal(queue().length, 0);
+
+  // Dropped once the webhook is turned off
+  await worker.call(`sendWebhook(${JSON.stringify(webhook)}, ${JSON.stringify(NOTIFICATION)})`);
+  await worker.call(`saveSettings({ webhooks: [${JSON.stringify({ ...webhook, enabled: false })}] })`);
+  receiver.received.length = 0;
+  makeDue();
+  await retry();
+  assert.equal(receiver.received.length, 0);
+  assert.equal(queue().length, 0);
+}
+
+(async () => {
+  const receiver = await startReceiver();
+  try {
+    const worker = loadWorker();
+    await checkFormats(worker, receiver);
+    console.log('✓ discord, slack, ntfy and json payloads');
+    await checkTypeFilter(worker, receiver);
+    console.log('✓ alert type filter');
+    await checkRetryQueue(worker, receiver);
+    console.log('✓ retry queue: backoff, redelivery, max attempts, disabled webhook');
+  } catch (err) {
+    console.error('✗', err);
+    process.exitCode = 1;
+  } finally {
+    receiver.close();
+  }
+})();
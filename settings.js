@@ -0,0 +1,172 @@
+/**
+ * Shared Settings
+ *
+ * Loaded by the service worker (importScripts), the popup and the options
+ * page. User settings live under the `settings` key in chrome.storage.local;
+ * always read them through getSettings() so keys added in later versions
+ * fall back to DEFAULT_SETTINGS.
+ */
+
+const DEFAULT_SETTINGS = {
+  checkIntervalMinutes: 60,
+  adaptivePolling: true,     // Speed up volatile products, back off stable ones
+  maxRequestsPerHour: 120,   // Budget for scheduled fetches to the Lululemon sites
+  // We Made Too Much watcher: product-line and size filter codes
+  // (PRODUCT_LINE_FILTERS / SIZE_FILTERS in regions.js) on a Next.js store
+  markdownWatch: { enabled: false, region: 'us', productLines: [], sizes: [] },
+  // Mirror tracked products' and collections' config to chrome.storage.sync
+  syncEnabled: false,
+  // Extra notification channels:
+  // [{ id, url, format (WEBHOOK_FORMAT_LABELS key), types: [] = all, enabled }]
+  webhooks: [],
+  // Hold notifications between start and end (local "HH:MM", may span midnight)
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  // Hold every notification and deliver one summary a day at `time`
+  digest: { enabled: false, time: '08:00' },
+  // ALERT_KIND_LABELS key → false to stop notifying it (missing = on);
+  // a product's own alertPrefs take precedence
+  alertPrefs: {},
+  notificationCooldownHours: 4,    // Same alert for the same product/variant at most this often
+  notificationGroupThreshold: 3,   // This many alerts of one type at once → one summary
+};
+
+// Intervals offered in the options page (minutes → label).
+// All are multiples of 5 so the alarm tick never drops below 5 minutes.
+const CHECK_INTERVAL_CHOICES = {
+  10: 'Every 10 minutes',
+  15: 'Every 15 minutes',
+  30: 'Every 30 minutes',
+  60: 'Every hour',
+  120: 'Every 2 hours',
+  180: 'Every 3 hours',
+  360: 'Every 6 hours',
+  720: 'Every 12 hours',
+  1440: 'Once a day',
+};
+
+async function getSettings() {
+  const { settings = {} } = await chrome.storage.local.get('settings');
+  return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+async function saveSettings(patch) {
+  const current = await getSettings();
+  const settings = { ...current, ...patch };
+  await chrome.storage.local.set({ settings });
+  return settings;
+}
+
+/**
+ * Effective check interval for a product: its own override, else the global one.
+ */
+function getProductInterval(product, settings) {
+  return product.checkIntervalMinutes || settings.checkIntervalMinutes;
+}
+
+/**
+ * Human-readable interval, e.g. 10 → "10 min", 60 → "hour", 360 → "6 hours".
+ */
+function formatInterval(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes === 60) return 'hour';
+  if (minutes === 1440) return 'day';
+  if (minutes % 60 === 0) return `${minutes / 60} hours`;
+  return `${minutes} min`;
+}
+
+// Alert types (product change types plus collection and WMTM alerts),
+// used by the Activity tab filters and webhook type filters
+const ALERT_TYPE_LABELS = {
+  status_change: 'Stock',
+  price_change: 'Price',
+  went_on_sale: 'Sale',
+  target_reached: 'Target price',
+  moved_to_markdown: 'Moved to markdown',
+  new_color: 'New color',
+  color_available: 'Color available',
+  discontinued: 'Discontinued',
+  new_in_collection: 'Collection',
+  new_on_wmtm: 'We Made Too Much',
+};
+
+const WEBHOOK_FORMAT_LABELS = {
+  discord: 'Discord',
+  slack: 'Slack',
+  ntfy: 'ntfy',
+  json: 'Generic JSON',
+};
+
+// ── Alert preferences ──
+// Product changes as the user thinks of them: stock changes split by
+// where they went, price changes by direction.
+
+const ALERT_KIND_LABELS = {
+  low_stock: 'Low stock',
+  sold_out: 'Sold out',
+  restock: 'Back in stock',
+  price_drop: 'Price drop',
+  price_increase: 'Price increase',
+  went_on_sale: 'Went on sale',
+  target_reached: 'Target price',
+  new_color: 'New color',
+  color_available: 'Color available',
+  moved_to_markdown: 'Moved to markdown',
+  discontinued: 'Discontinued',
+};
+
+/**
+ * The ALERT_KIND_LABELS key of a product change.
+ */
+function getAlertKind(change) {
+  if (change.type === 'status_change') {
+    if (change.to === 'sold_out') return 'sold_out';
+    if (change.to === 'low_stock') return 'low_stock';
+    return 'restock';
+  }
+  if (change.type === 'price_change') {
+    return change.to < change.from ? 'price_drop' : 'price_increase';
+  }
+  return change.type;
+}
+
+/**
+ * Whether `kind` alerts are wanted for a product: its own preference if
+ * it has one, else the global one.
+ */
+function isAlertEnabled(kind, product, settings) {
+  return product.alertPrefs?.[kind] ?? settings.alertPrefs[kind] ?? true;
+}
+
+// ── Target prices ──
+// A product may carry targetPrice (alert at or under this price) and/or
+// targetPercentOff (alert at this markdown or deeper). Either one met
+// counts as reached.
+
+function hasPriceTarget(product) {
+  return !!(product.targetPrice || product.targetPercentOff);
+}
+
+/**
+ * Whether `state` (a parse result, or the product's own stored price)
+ * meets the product's target.
+ */
+function isTargetReached(product, state = product) {
+  const price = state.currentPrice;
+  if (!price || !hasPriceTarget(product)) return false;
+  if (product.targetPrice && price <= product.targetPrice) return true;
+  if (product.targetPercentOff && state.onSale && state.originalPrice) {
+    const percentOff = Math.round((1 - price / state.originalPrice) * 100);
+    if (percentOff >= product.targetPercentOff) return true;
+  }
+  return false;
+}
+
+/**
+ * Short target label, e.g. "≤ $99", "30%+ off" or "≤ $99 or 30%+ off".
+ */
+function formatTarget(product) {
+  const parts = [];
+  if (product.targetPrice) parts.push(`≤ $${product.targetPrice}`);
+  if (product.targetPercentOff) parts.push(`${product.targetPercentOff}%+ off`);
+  return parts.join(' or ');
+}
@@ -0,0 +1,383 @@
+/**
+ * Storage Schema
+ *
+ * Loaded by the service worker (importScripts) and the popup. Tracked
+ * products and saved collections live under `trackedProducts` and
+ * `savedCollections` in chrome.storage.local, next to a `schemaVersion`.
+ *
+ * - runMigrations() brings data written by an older version up to
+ *   SCHEMA_VERSION; the background runs it from onInstalled.
+ * - getTrackedProducts() / getSavedCollections() return items with every
+ *   field in the typedefs below filled in, so callers don't need `|| 0`
+ *   or `|| []` guards.
+ * - Only the service worker writes trackedProducts and savedCollections,
+ *   and only through updateTrackedProducts() / updateSavedCollections(),
+ *   which run one read-modify-write at a time. The popup and options
+ *   page send it messages instead.
+ *
+ * Adding a field: give it a default in createProductDefaults() /
+ * createCollectionDefaults(), bump SCHEMA_VERSION and append a migration
+ * that writes it to stored items (deriving it from other fields if need be).
+ */
+
+const SCHEMA_VERSION = 6;
+
+/**
+ * @typedef {Object} TrackedProduct
+ * Identity (from the content script):
+ * @property {string} uid                This record; a product removed and re-added gets a new one
+ * @property {string} url
+ * @property {string|null} productId
+ * @property {string} name
+ * @property {string} color
+ * @property {string} size
+ * @property {string[]} [sizes]          Multi-size items: every tracked size
+ * @property {boolean} [anyColor]        One size in every color
+ * Settings:
+ * @property {number|null} addedAt
+ * @property {boolean} trackNewColors
+ * @property {number|null} checkIntervalMinutes  Override of the global interval
+ * @property {number|null} targetPrice
+ * @property {number|null} targetPercentOff
+ * @property {boolean} highPriority      Back-in-stock alerts skip quiet hours and the digest
+ * @property {Object<string, boolean>} alertPrefs  ALERT_KIND_LABELS key → on/off, over the global setting
+ * @property {number|null} snoozedUntil  Changes are not notified before this time
+ * Last known state:
+ * @property {string|null} stockStatus
+ * @property {number|null} currentPrice
+ * @property {number|null} originalPrice
+ * @property {boolean} onSale
+ * @property {Array<{code: string, name: string}>} availableColors
+ * @property {Object|null} sfccVariation
+ * @property {Array|null} colorAvailability
+ * @property {Array|null} sizeAvailability
+ * @property {string|null} markdownUrl   We Made Too Much copy of this item
+ * @property {boolean} needsBaseline     Next check records state without alerting
+ * Scheduling and health:
+ * @property {number|null} lastChecked
+ * @property {number|null} nextCheckAt
+ * @property {number|null} statusChangedAt
+ * @property {{type: string, timestamp: number}|null} lastChange
+ * @property {number} consecutiveFailures
+ * @property {string|null} lastFetchError
+ * @property {string|null} blockedReason
+ * @property {number|null} blockedUntil
+ * @property {number} consecutive404s
+ * @property {boolean} discontinued
+ * @property {number|null} discontinuedAt
+ * History:
+ * @property {Array<{price: number, date: number, wasOnSale: boolean}>} priceHistory
+ * @property {Array<{type: string, date: number}>} timeline
+ */
+
+/**
+ * @typedef {Object} SavedCollection
+ * @property {string} name
+ * @property {string} url
+ * @property {string} format             'us' (filter codes) or 'intl' (filter names)
+ * @property {string} region
+ * @property {string} basePath
+ * @property {string[]} filterCodes
+ * @property {string[]} filterNames
+ * @property {string} sort
+ * @property {string} sortType
+ * @property {Object} extraParams
+ * @property {number|null} addedAt
+ * @property {boolean} monitor
+ * @property {Object|null} seen          Tiles seen so far; null until the first check
+ * @property {Array} newItems
+ * @property {number|null} lastCheckedAt
+ * @property {string|null} lastCheckError
+ * @property {number|null} nextCheckAt
+ */
+
+/**
+ * Field values for a product that has never been checked.
+ */
+function createProductDefaults(product = {}) {
+  return {
+    uid: null,
+    addedAt: null,
+    // Any-color items already alert per color
+    trackNewColors: !product.anyColor,
+    checkIntervalMinutes: null,
+    targetPrice: null,
+    targetPercentOff: null,
+    highPriority: false,
+    alertPrefs: {},
+    snoozedUntil: null,
+    stockStatus: null,
+    currentPrice: null,
+    originalPrice: null,
+    onSale: false,
+    availableColors: [],
+    sfccVariation: null,
+    colorAvailability: null,
+    sizeAvailability: null,
+    markdownUrl: null,
+    needsBaseline: false,
+    lastChecked: null,
+    nextCheckAt: null,
+    statusChangedAt: null,
+    lastChange: null,
+    consecutiveFailures: 0,
+    lastFetchError: null,
+    blockedReason: null,
+    blockedUntil: null,
+    consecutive404s: 0,
+    discontinued: false,
+    discontinuedAt: null,
+    priceHistory: [],
+    timeline: [],
+  };
+}
+
+function createCollectionDefaults() {
+  return {
+    format: 'us',
+    region: 'us',
+    basePath: '',
+    filterCodes: [],
+    filterNames: [],
+    sort: '',
+    sortType: 'Ns',
+    extraParams: {},
+    addedAt: null,
+    monitor: false,
+    seen: null,
+    newItems: [],
+    lastCheckedAt: null,
+    lastCheckError: null,
+    nextCheckAt: null,
+  };
+}
+
+/** @returns {TrackedProduct} */
+function normalizeProduct(product) {
+  return { ...createProductDefaults(product), ...withoutUndefined(product) };
+}
+
+/**
+ * A new tracked product record (adds, sync pulls, imports).
+ * @returns {TrackedProduct}
+ */
+function createTrackedProduct(fields) {
+  return normalizeProduct({ ...fields, uid: crypto.randomUUID() });
+}
+
+/** @returns {SavedCollection} */
+function normalizeCollection(collection) {
+  return { ...createCollectionDefaults(), ...withoutUndefined(collection) };
+}
+
+// A field explicitly set to undefined must not hide its default
+function withoutUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+// ── Accessors ──
+
+/** @returns {Promise<TrackedProduct[]>} */
+async function getTrackedProducts() {
+  const { trackedProducts = [] } = await chrome.storage.local.get('trackedProducts');
+  return trackedProducts.map(normalizeProduct);
+}
+
+// Tail of the queue of watchlist, activity log and held notification writes (service worker only)
+let storageWriteQueue = Promise.resolve();
+
+/**
+ * Run `fn` once every earlier queued write has finished. One queue covers
+ * trackedProducts, savedCollections, activityLog and notificationHold, so code
+ * holding it may write any of them (but must not call a helper that takes it
+ * again).
+ */
+function withStorageLock(fn) {
+  const run = storageWriteQueue.then(fn);
+  storageWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read the current list, let `mutate` change it in place and save it
+ * (unless nothing changed), holding the lock throughout. Returns whatever
+ * `mutate` returns. Keep slow work such as page fetches out of `mutate`.
+ *
+ * @param {(trackedProducts: TrackedProduct[]) => any} mutate
+ */
+function updateTrackedProducts(mutate) {
+  return withStorageLock(async () => {
+    const trackedProducts = await getTrackedProducts();
+    const before = JSON.stringify(trackedProducts);
+    const result = await mutate(trackedProducts);
+    if (JSON.stringify(trackedProducts) !== before) {
+      await chrome.storage.local.set({ trackedProducts });
+    }
+    return result;
+  });
+}
+
+/** @returns {Promise<SavedCollection[]>} */
+async function getSavedCollections() {
+  const { savedCollections = [] } = await chrome.storage.local.get('savedCollections');
+  return savedCollections.map(normalizeCollection);
+}
+
+/**
+ * Collections are identified by when they were added (the URL changes
+ * with the sort); older ones without addedAt by URL.
+ */
+function getCollectionKey(collection) {
+  return collection.addedAt || collection.url;
+}
+
+/**
+ * updateTrackedProducts() for savedCollections.
+ *
+ * @param {(savedCollections: SavedCollection[]) => any} mutate
+ */
+function updateSavedCollections(mutate) {
+  return withStorageLock(async () => {
+    const savedCollections = await getSavedCollections();
+    const before = JSON.stringify(savedCollections);
+    const result = await mutate(savedCollections);
+    if (JSON.stringify(savedCollections) !== before) {
+      await saveSavedCollections(savedCollections);
+    }
+    return result;
+  });
+}
+
+/**
+ * Write the whole list. Only for code already inside withStorageLock()
+ * (imports, sync); everything else goes through updateSavedCollections().
+ *
+ * @param {SavedCollection[]} savedCollections
+ */
+async function saveSavedCollections(savedCollections) {
+  await chrome.storage.local.set({ savedCollections });
+}
+
+// ── Migrations ──
+// Each step takes { trackedProducts, savedCollections } as stored at the
+// previous version and returns them at its own version. Steps spell out
+// their fields rather than calling the defaults above, so replaying an old
+// step gives the same result after later defaults change.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill product fields added since the first release',
+    migrate: ({ trackedProducts, savedCollections }) => ({
+      savedCollections,
+      trackedProducts: trackedProducts.map(p => ({
+        ...p,
+        trackNewColors: p.trackNewColors ?? !p.anyColor,
+        checkIntervalMinutes: p.checkIntervalMinutes ?? null,
+        targetPrice: p.targetPrice ?? null,
+        targetPercentOff: p.targetPercentOff ?? null,
+        onSale: p.onSale ?? false,
+        availableColors: p.availableColors ?? [],
+        markdownUrl: p.markdownUrl ?? null,
+        lastChecked: p.lastChecked ?? null,
+        nextCheckAt: p.nextCheckAt ?? null,
+        statusChangedAt: p.statusChangedAt ?? null,
+        lastChange: p.lastChange ?? null,
+        consecutiveFailures: p.consecutiveFailures ?? 0,
+        lastFetchError: p.lastFetchError ?? null,
+        blockedReason: p.blockedReason ?? null,
+        blockedUntil: p.blockedUntil ?? null,
+        consecutive404s: p.consecutive404s ?? 0,
+        discontinued: p.discontinued ?? false,
+        discontinuedAt: p.discontinuedAt ?? null,
+        needsBaseline: p.needsBaseline ?? false,
+        priceHistory: p.priceHistory ?? [],
+        timeline: p.timeline ?? [],
+      })),
+    }),
+  },
+  {
+    version: 2,
+    description: 'Fill collection monitoring fields',
+    migrate: ({ trackedProducts, savedCollections }) => ({
+      trackedProducts,
+      savedCollections: savedCollections.map(c => ({
+        ...c,
+        filterCodes: c.filterCodes ?? [],
+        filterNames: c.filterNames ?? [],
+        extraParams: c.extraParams ?? {},
+        monitor: c.monitor ?? false,
+        seen: c.seen ?? null,
+        newItems: c.newItems ?? [],
+        lastCheckedAt: c.lastCheckedAt ?? null,
+        lastCheckError: c.lastCheckError ?? null,
+        nextCheckAt: c.nextCheckAt ?? null,
+      })),
+    }),
+  },
+  {
+    version: 3,
+    description: 'Give each product a record id',
+    migrate: ({ trackedProducts, savedCollections }) => ({
+      savedCollections,
+      trackedProducts: trackedProducts.map(p => ({ ...p, uid: p.uid ?? crypto.randomUUID() })),
+    }),
+  },
+  {
+    version: 4,
+    description: 'Add the high-priority flag',
+    migrate: ({ trackedProducts, savedCollections }) => ({
+      savedCollections,
+      trackedProducts: trackedProducts.map(p => ({ ...p, highPriority: p.highPriority ?? false })),
+    }),
+  },
+  {
+    version: 5,
+    description: 'Add per-product alert preferences',
+    migrate: ({ trackedProducts, savedCollections }) => ({
+      savedCollections,
+      trackedProducts: trackedProducts.map(p => ({ ...p, alertPrefs: p.alertPrefs ?? {} })),
+    }),
+  },
+  {
+    version: 6,
+    description: 'Add notification snoozing',
+    migrate: ({ trackedProducts, savedCollections }) => ({
+      savedCollections,
+      trackedProducts: trackedProducts.map(p => ({ ...p, snoozedUntil: p.snoozedUntil ?? null })),
+    }),
+  },
+];
+
+/**
+ * Apply every migration newer than the stored schemaVersion, in order, and
+ * store the result with the new version in one write. Data from a newer
+ * version of the extension (after a downgrade) is left alone.
+ */
+function runMigrations() {
+  return withStorageLock(migrateStoredData);
+}
+
+async function migrateStoredData() {
+  const stored = await chrome.storage.local.get(['schemaVersion', 'trackedProducts', 'savedCollections']);
+  const from = stored.schemaVersion || 0;
+  if (from >= SCHEMA_VERSION) {
+    if (from > SCHEMA_VERSION) {
+      console.warn(`[LuluTracker] Stored schema v${from} is newer than v${SCHEMA_VERSION}; not migrating`);
+    }
+    return { from, to: from };
+  }
+
+  let data = {
+    trackedProducts: stored.trackedProducts || [],
+    savedCollections: stored.savedCollections || [],
+  };
+  for (const step of MIGRATIONS) {
+    if (step.version <= from) continue;
+    data = step.migrate(data);
+    console.log(`[LuluTracker] Migrated storage to v${step.version}: ${step.description}`);
+  }
+
+  await chrome.storage.local.set({ ...data, schemaVersion: SCHEMA_VERSION });
+  return { from, to: SCHEMA_VERSION };
+}